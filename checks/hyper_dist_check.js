@@ -0,0 +1,46 @@
+/**
+ * @file Checks the hyperbolic distance in hyperbolic_functions.js. Run it with `node checks/hyper_dist_check.js`,
+ * it exits with an error when a check fails.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// hyperbolic_functions.js is a browser script, its functions become globals of the context it runs in
+const context = vm.createContext({ Math: Math });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'hyperbolic_functions.js'), 'utf8'), context);
+const { hyper_dist, mobius_apply, mobius_compose, mobius_translation, mobius_rotation } = context;
+
+// Points spread over the disk, some close to the boundary where the old formula lost its precision
+const points = [];
+for (const r of [0, 1e-8, 0.1, 0.5, 0.9, 0.99, 0.999999]) {
+  for (const angle of [0, 1, 2.5, 4]) {
+    points.push({ 'x': r * Math.cos(angle), 'y': r * Math.sin(angle) });
+  }
+}
+const close = (a, b, message) => assert.ok(Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(b)), message + ': ' + a + ' != ' + b);
+
+for (const p of points) {
+  close(hyper_dist({ 'x': 0, 'y': 0 }, p), 2 * Math.atanh(Math.hypot(p.x, p.y)), 'd(0,p) = 2 atanh|p|');
+  close(hyper_dist(p, p), 0, 'd(p,p) = 0');
+  for (const q of points) {
+    close(hyper_dist(p, q), hyper_dist(q, p), 'symmetry');
+  }
+}
+
+// The isometries of the disk keep distances
+const isometries = [
+  mobius_translation({ 'x': 0.3, 'y': -0.6 }),
+  mobius_rotation(2),
+  mobius_compose(mobius_rotation(-1), mobius_translation({ 'x': -0.9, 'y': 0.1 }))
+];
+for (const m of isometries) {
+  for (const p of points.filter(p => Math.hypot(p.x, p.y) < 0.99)) {
+    for (const q of points.filter(q => Math.hypot(q.x, q.y) < 0.99)) {
+      close(hyper_dist(mobius_apply(m, p), mobius_apply(m, q)), hyper_dist(p, q), 'invariance under mobius_apply');
+    }
+  }
+}
+
+console.log('hyper_dist: all checks passed');
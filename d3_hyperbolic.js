@@ -2,6 +2,57 @@
  * @file This is the main file where hyperbolic and euclidean visualization is done with the class d3Hyperbolic. 
  */
 
+/**
+ * Projections that show the hyperbolic plane, they can be switched between without recomputing the layout.
+ */
+const HYPERBOLIC_MODELS = ['hyperbolic', 'klein', 'halfplane', 'hyperboloid'];
+// Hyperbolic radius of the part of the hyperboloid that is shown
+const HYPERBOLOID_EXTENT = 3;
+// Angle between the axis of the hyperboloid and the viewing direction
+const HYPERBOLOID_TILT = Math.PI / 4;
+// Distance of the perspective camera from the apex, in units of the hyperboloid
+const HYPERBOLOID_CAMERA_DISTANCE = 30;
+// Canvas distance of the apex below the center, in disk radii, so the tilted sheet fills the canvas
+const HYPERBOLOID_APEX_OFFSET = 0.6;
+const HYPERBOLOID_GEODESIC_SAMPLES = 24;
+// Cooling of the hyperbolic force layout, the same schedule as d3.forceSimulation (about 300 iterations)
+const HYPERBOLIC_FORCE_ALPHA_DECAY = 1 - Math.pow(0.001, 1 / 300);
+const HYPERBOLIC_FORCE_ALPHA_MIN = 0.001;
+// Points per tile side outside the Poincare model, where tiles are drawn as polylines
+const TILE_SIDE_SAMPLES = 8;
+// Points on a hyperbolic circle that the drawn circle is fitted to, in the models where it is not a circle
+const CIRCLE_FIT_SAMPLES = 16;
+// Voronoi edges running to the boundary stop at this radius of the disk outside the Poincare model
+const VORONOI_MODEL_RADIUS = 0.999;
+// Opacity of the nodes and edges that are not next to the hovered node
+const HIGHLIGHT_DIM_OPACITY = 0.15;
+// Canvas distance of a node added in the euclidean projection from the mean of its neighbors
+const EUCLIDEAN_NEW_NODE_OFFSET = 30;
+// Pixels around an edge drawn on the canvas that still count as a click on it
+const CANVAS_EDGE_HIT_PIXELS = 4;
+// Points per edge when hit-testing edges drawn on the canvas
+const CANVAS_EDGE_HIT_SAMPLES = 16;
+// Radius in pixels of a proxy standing for a single culled node, proxies for more nodes grow with the logarithm of the count
+const LOD_PROXY_RADIUS = 3;
+// Width of a label character in ems, labels are measured with it instead of asking the browser for every frame
+const LABEL_CHAR_WIDTH = 0.6;
+// Pixels between a node and its label
+const LABEL_GAP = 2;
+// Side of the grid cells labels are tested for overlaps in, in pixels
+const LABEL_GRID_PIXELS = 32;
+// Hyperbolic radius of the nodes when no node size is given
+const NODE_SIZE = 0.2;
+// Smallest and largest node radius, in hyperbolic units, and edge width, in pixels, that attributes are mapped to
+const NODE_SIZE_RANGE = [0.1, 0.4];
+const NODE_STROKE_WIDTH_RANGE = [1, 6];
+const EDGE_WIDTH_RANGE = [0.5, 5];
+// Pixels between the disk and a legend drawn beside it
+const LEGEND_GAP = 10;
+// Events that can be listened to with on()
+const HYPERBOLIC_EVENTS = ['nodeclick', 'nodehover', 'edgeclick', 'focuschange', 'layoutend'];
+// Instances created so far, each one numbers the ids it defines in the page with it
+let hyperbolic_instance_count = 0;
+
 /**
  * The main d3-hyperbolic library class for rendering.
  * @example 
@@ -20,10 +71,51 @@ class d3Hyperbolic {
    * @returns The created instance.
    */
   constructor() {
+    // Prefix of the element ids of this instance, several instances can share a page
+    this.idPrefix = 'd3-hyperbolic-' + (++hyperbolic_instance_count) + '-';
     // Initialize default parameters
     this.projection = "hyperbolic";
+    this.hyperboloidCamera = "orthographic";
     this.selectedElement = null;
     this.forceDirected = false;
+    this.layout = null;
+    this.forceOptions = {};
+    this.treeRoot = null;
+    this.treeDistance = 1;
+    this.tiling = null;
+    this.tilingDepth = 6;
+    this.tilingMinSize = 2;
+    this.tilingFill = undefined;
+    this.tiles = null;
+    this.voronoi = false;
+    this.voronoiCells = false;
+    this.delaunay = false;
+    this.voronoiCache = null;
+    this.highlightNeighbors = true;
+    this.highlighted = null;
+    this.renderer = "svg";
+    this.lod = false;
+    this.lodMinPixels = 1;
+    this.lodClusterPixels = 20;
+    this.proxies = [];
+    this.index = null;
+    this.labels = true;
+    this.labelField = "label";
+    this.labelFont = "sans-serif";
+    this.labelScale = 1;
+    this.labelMinPixels = 6;
+    this.labelMaxPixels = 24;
+    this.placedLabels = [];
+    this.nodeColor = d => d.color;
+    this.nodeSize = NODE_SIZE;
+    this.nodeStroke = 'black';
+    this.nodeStrokeWidth = 3;
+    this.edgeColor = d => d.color === undefined ? 'black' : d.color;
+    this.edgeWidth = d => d.penwidth === undefined ? (this.edgeThickness === undefined ? 1 : this.edgeThickness) : d.penwidth;
+    this.legend = true;
+    this.styles = null;
+    this.canvas = null;
+    this.dispatch = d3.dispatch(...HYPERBOLIC_EVENTS);
     this.graph = {};
   }
 
@@ -35,7 +127,20 @@ class d3Hyperbolic {
   parameters(paramDict) {
     for (const [key, value] of Object.entries(paramDict)) {
       if (key.toLowerCase() === "projection") {
+        let previous = this.projection;
         this.projection = value;
+        // Models of the hyperbolic plane share the layout, so an already rendered graph is switched live
+        if (this.view && HYPERBOLIC_MODELS.includes(previous) && HYPERBOLIC_MODELS.includes(value)) {
+          this.drawBackground();
+          this.redraw();
+        }
+      }
+      else if (key.toLowerCase() === "hyperboloidcamera") {
+        this.hyperboloidCamera = value;
+        if (this.view && this.projection === "hyperboloid") {
+          this.drawBackground();
+          this.redraw();
+        }
       }
       else if (key.toLowerCase() === "edgethickness") {
         this.edgeThickness = value;
@@ -44,6 +149,7 @@ class d3Hyperbolic {
         this.nodeRadius = value;
       }
       else if (key.toLowerCase() === "layout") {
+        this.layout = value;
         if(value === "force") {
           this.forceDirected = true;
         }
@@ -51,12 +157,140 @@ class d3Hyperbolic {
           this.forceDirected = false;
         }
       }
+      else if (key.toLowerCase() === "linkdistance") {
+        this.forceOptions.linkDistance = value;
+      }
+      else if (key.toLowerCase() === "linkstrength") {
+        this.forceOptions.linkStrength = value;
+      }
+      else if (key.toLowerCase() === "charge") {
+        this.forceOptions.charge = value;
+      }
+      else if (key.toLowerCase() === "gravity") {
+        this.forceOptions.gravity = value;
+      }
+      else if (key.toLowerCase() === "theta") {
+        this.forceOptions.theta = value;
+      }
+      else if (key.toLowerCase() === "distancemax") {
+        this.forceOptions.distanceMax = value;
+      }
+      else if (key.toLowerCase() === "root") {
+        this.treeRoot = value;
+      }
+      else if (key.toLowerCase() === "treedistance") {
+        this.treeDistance = value;
+      }
+      else if (["tiling", "tilingdepth", "tilingminsize", "tilingfill"].includes(key.toLowerCase())) {
+        if (key.toLowerCase() === "tiling") {
+          this.tiling = value === null ? null : parse_tiling_symbol(value);
+        }
+        else if (key.toLowerCase() === "tilingdepth") {
+          this.tilingDepth = value;
+        }
+        else if (key.toLowerCase() === "tilingminsize") {
+          this.tilingMinSize = value;
+        }
+        else {
+          this.tilingFill = value;
+        }
+        if (this.view) {
+          this.drawTiling();
+        }
+      }
+      else if (["lod", "lodminpixels", "lodclusterpixels"].includes(key.toLowerCase())) {
+        if (key.toLowerCase() === "lod") {
+          this.lod = value;
+        }
+        else if (key.toLowerCase() === "lodminpixels") {
+          this.lodMinPixels = value;
+        }
+        else {
+          this.lodClusterPixels = value;
+        }
+        if (this.view && this.drawn) {
+          this.redraw();
+        }
+      }
+      else if (["labels", "labelfield", "labelfont", "labelscale", "labelminpixels", "labelmaxpixels"].includes(key.toLowerCase())) {
+        let field = {
+          labels: "labels", labelfield: "labelField", labelfont: "labelFont", labelscale: "labelScale",
+          labelminpixels: "labelMinPixels", labelmaxpixels: "labelMaxPixels"
+        }[key.toLowerCase()];
+        this[field] = value;
+        if (this.view && this.drawn) {
+          this.redraw();
+        }
+      }
+      else if (["nodecolor", "nodesize", "nodestroke", "nodestrokewidth", "edgecolor", "edgewidth", "legend"].includes(key.toLowerCase())) {
+        // A constant, the name of a node or edge attribute, or a function of the node or edge, see style_accessor
+        let field = {
+          nodecolor: "nodeColor", nodesize: "nodeSize", nodestroke: "nodeStroke", nodestrokewidth: "nodeStrokeWidth",
+          edgecolor: "edgeColor", edgewidth: "edgeWidth", legend: "legend"
+        }[key.toLowerCase()];
+        this[field] = value;
+        this.update();
+      }
+      else if (key.toLowerCase() === "renderer") {
+        // Takes effect on the next render()
+        this.renderer = value;
+      }
+      else if (key.toLowerCase() === "highlightneighbors") {
+        this.highlightNeighbors = value;
+        if (!value && this.view) {
+          this.highlightNode(null);
+        }
+      }
+      else if (["voronoi", "voronoicells", "delaunay"].includes(key.toLowerCase())) {
+        if (key.toLowerCase() === "voronoi") {
+          this.voronoi = value;
+        }
+        else if (key.toLowerCase() === "voronoicells") {
+          this.voronoiCells = value;
+        }
+        else {
+          this.delaunay = value;
+        }
+        if (this.view) {
+          this.drawVoronoi();
+        }
+      }
       else {
       }
     }
     return this;
   }
 
+  /**
+   * Adds, replaces or removes a listener, like d3's dispatch.on. Names can carry a namespace, e.g. 'nodeclick.tooltip'.
+   * Every listener gets one payload object: node events have the `node`, edge events the `edge`, and both have the d3 `event`
+   * and the pointer position as `canvas` coordinates of the svg and as `disk` coordinates in the poincare disk.
+   * 'nodehover' is sent with `node` set to null when the pointer leaves the node. 'focuschange' has the new `focus` of the layout
+   * in disk coordinates and the `node` that was focused on, if any. 'layoutend' has the `nodes` and `edges` once they are placed.
+   * @example hyperbolicSys.on('nodeclick', e => console.log(e.node.id, e.disk));
+   * @param {string} typename - One of 'nodeclick', 'nodehover', 'edgeclick', 'focuschange' or 'layoutend', with an optional namespace.
+   * @param {function(Object): void} handler - The listener, null removes it.
+   * @returns `this` instance of d3Hyperbolic, or the current listener when no handler is given.
+   */
+  on(typename, handler) {
+    if (arguments.length < 2) {
+      return this.dispatch.on(typename);
+    }
+    this.dispatch.on(typename, handler);
+    return this;
+  }
+
+  /**
+   * Pointer position of a d3 event in the canvas and in the poincare disk.
+   * @param {Event} event - A mouse event on the svg.
+   * @returns {{canvas: {x: number, y: number}, disk: {x: number, y: number}}} - Both positions.
+   */
+  eventPosition(event) {
+    let [x, y] = d3.pointer(event, this.container.node());
+    let canvas = { x: x, y: y };
+    return { canvas: canvas, disk: this.poindisk ? this.unproject(canvas) : null };
+  }
+
   /**
    * Sets the element as the default rendering canvas. 
    * @param {string} elementQuery - The element to select. An id of an SVG element is required.
@@ -80,18 +314,18 @@ class d3Hyperbolic {
 
   /**
    * Sets the graph for rendering. 
+   * Edge ends can be node objects, node ids, or indices into the nodes list.
    * @param {Graph} graph The graph object with nodes and edges list.
    * @returns `this` instance of d3Hyperbolic
    */
   setGraph(graph) {
     this.graph = graph;
+    let nodeById = new Map(this.graph.nodes.map(d => [String(d.id), d]));
+    // Looking ids up in a map keeps big graphs fast, the rest is left to resolveNode
+    let resolve = end => typeof end !== 'object' && nodeById.has(String(end)) ? nodeById.get(String(end)) : this.resolveNode(end);
     for(let i  = 0; i<this.graph.edges.length; i++) {
-      if(Number.isInteger(this.graph.edges[i].source))  {
-        this.graph.edges[i].source = this.graph.nodes[this.graph.edges[i].source];
-      }
-      if(Number.isInteger(this.graph.edges[i].target))  {
-        this.graph.edges[i].target = this.graph.nodes[this.graph.edges[i].target];
-      }
+      this.graph.edges[i].source = resolve(this.graph.edges[i].source);
+      this.graph.edges[i].target = resolve(this.graph.edges[i].target);
     }
     return this;
   }
@@ -102,8 +336,61 @@ class d3Hyperbolic {
    * @returns `this` instance of d3Hyperbolic
    */
   setGraphFromDot(dotStr) {
-    this.graph = utils.readDot(dotStr);
-    return this;
+    return this.setGraph(readDot(dotStr));
+  }
+
+  /**
+   * Reads the graph from a GraphML string and sets it as default graph as {@link setGraph}.
+   * A layout saved with {@link exportGraphML} is kept instead of being computed again.
+   * @param {string} graphmlStr The GraphML string to read from.
+   * @returns `this` instance of d3Hyperbolic
+   */
+  setGraphFromGraphML(graphmlStr) {
+    return this.setGraph(readGraphML(graphmlStr));
+  }
+
+  /**
+   * Reads the graph from a GEXF string and sets it as default graph as {@link setGraph}.
+   * A layout saved with {@link exportGEXF} is kept instead of being computed again.
+   * @param {string} gexfStr The GEXF string to read from.
+   * @returns `this` instance of d3Hyperbolic
+   */
+  setGraphFromGEXF(gexfStr) {
+    return this.setGraph(readGEXF(gexfStr));
+  }
+
+  /**
+   * Reads the graph from node-link JSON or a JSON edge list and sets it as default graph as {@link setGraph}.
+   * A layout saved with {@link exportJSON} is kept instead of being computed again.
+   * @param {string|Object} json The JSON string or the already parsed value.
+   * @returns `this` instance of d3Hyperbolic
+   */
+  setGraphFromJSON(json) {
+    return this.setGraph(readJSON(json));
+  }
+
+  /**
+   * Writes the graph with the computed hyperbolic layout as GraphML.
+   * @returns {string} - The GraphML document.
+   */
+  exportGraphML() {
+    return writeGraphML(this.graph);
+  }
+
+  /**
+   * Writes the graph with the computed hyperbolic layout as GEXF.
+   * @returns {string} - The GEXF document.
+   */
+  exportGEXF() {
+    return writeGEXF(this.graph);
+  }
+
+  /**
+   * Writes the graph with the computed hyperbolic layout as node-link JSON.
+   * @returns {string} - The JSON document.
+   */
+  exportJSON() {
+    return writeJSON(this.graph);
   }
 
 
@@ -131,37 +418,46 @@ class d3Hyperbolic {
       .attr("transform",
         "translate(" + this.margin.left + "," + this.margin.top + ")");
 
+    // Rendering again replaces the previous drawing instead of stacking another one on top
+    if (this.container) {
+      this.container.remove();
+    }
+    this.container = svg;
     let bottomLayer = svg.append('g')
       .attr("class", "bottomlayer");
     let topLayer = svg.append('g')
       .attr("class", "toplayer");
 
-    // Initialize the links
-    var link = topLayer
-      .selectAll("path")
-      .data(edges, d => String(d.source) + d.target)
-      .enter()
-      .append("path")
-      .attr("class", "link")
-      .attr('fill', 'none')
-      .attr('stroke-width', this.edgeThickness)
-      .attr('stroke', 'black') // TODO: add as param
-      .attr('visibility', 'hidden');
-
-    // Initialize the nodes
-    console.log(vertices);
-    var node = topLayer
-      .selectAll("circle")
-      .data(vertices, d => d.id)
-      .enter()
-      .append("circle")
-      .attr("fill", d => d.color)
-      .attr("r", this.nodeRadius)
-      .attr("class", "node")
-      // .attr("fill", "#69b3a2") // TODO: Add as param
-      .attr('stroke', 'black') // TODO: Add as param
-      .attr('stroke-width', 3) // TODO: Add as param
-      .attr('visibility', 'hidden');
+    // Initialize the links and nodes, later changes to the graph are joined into the same layer
+    this.topLayer = topLayer;
+    this.legendLayer = svg.append('g')
+      .attr('class', 'legend')
+      .style('pointer-events', 'none');
+    this.drawn = false;
+    if (projection === 'euclidean') {
+      // No view is applied in the euclidean projection, a later hyperbolic render starts again from the identity
+      this.view = null;
+      // Nor is the level of detail, every node gets its element
+      vertices.forEach(d => {
+        delete d.viewDisk;
+        delete d.culled;
+      });
+      edges.forEach(d => delete d.culled);
+    }
+    // The canvas backend paints nodes and edges onto one canvas over the background, the euclidean projection always uses svg
+    this.canvas = null;
+    if (this.renderer === 'canvas' && HYPERBOLIC_MODELS.includes(projection)) {
+      this.setupCanvas();
+    }
+    this.joinGraph();
+    let link = this.linkSelection;
+    let node = this.nodeSelection;
+    // Labels and proxies of culled nodes, over the graph
+    this.labelLayer = topLayer.append('g')
+      .attr('class', 'labels')
+      .style('pointer-events', 'none');
+    this.proxyLayer = topLayer.append('g')
+      .attr('class', 'lod');
 
     let zoom = d3.zoom()
       .scaleExtent([.5, 3]);
@@ -180,9 +476,11 @@ class d3Hyperbolic {
 
     if (projection === 'euclidean') {
       // Zoom functionality
+      this.zoomTransform = null;
       zoom.on("zoom", event => {
-        node.attr('transform', event.transform);
-        link.attr('transform', event.transform);
+        this.zoomTransform = event.transform;
+        this.nodeSelection.attr('transform', event.transform);
+        this.linkSelection.attr('transform', event.transform);
       });
 
       bottomLayer.append('rect')
@@ -197,16 +495,13 @@ class d3Hyperbolic {
       svg.call(zoom);
 
       let start_drawing = () => {
-          link
-            .attr('d', d => d3.line()([[d.source.x, d.source.y], [d.target.x, d.target.y]]))
-            .attr('visibility', 'visible');
-
-          node
-            .attr("cx", d => d.x)
-            .attr("cy", d => d.y)
-            .attr('visibility', 'visible');
+          this.drawn = true;
+          this.drawEuclidean();
+          link.attr('visibility', 'visible');
+          node.attr('visibility', 'visible');
 
           waitingText.remove()
+          this.dispatch.call('layoutend', this, { nodes: vertices, edges: edges });
       }
 
       if(this.forceDirected) {
@@ -228,7 +523,7 @@ class d3Hyperbolic {
       }
 
     }
-    else if (projection === 'hyperbolic') {
+    else if (HYPERBOLIC_MODELS.includes(projection)) {
       let poindisk = {
         boundbox: null,
         cx: null,
@@ -251,99 +546,65 @@ class d3Hyperbolic {
       poindisk.r = Math.min(poindisk.cx, poindisk.cy);
       poindisk.center = { x: poindisk.cx, y: poindisk.cy }
 
-      bottomLayer.append('circle')
-        .attr('cx', (poindisk.boundbox.right - poindisk.boundbox.left) / 2)
-        .attr('cy', (poindisk.boundbox.bottom - poindisk.boundbox.top) / 2)
-        .attr('r', (poindisk.boundbox.right - poindisk.boundbox.left) / 2)
-        .style('fill', 'lightgrey')
-        .style('stroke', 'black')
+      this.poindisk = poindisk;
+      this.backgroundLayer = bottomLayer;
+      this.drawBackground();
+      // The legend goes beside the disk, which is only known now
+      this.drawLegend();
+
+      // The view starts without any panning applied
+      this.view = mobius_translation({ x: 0, y: 0 });
 
       let start_drawing = () => {
         let centerX = d3.mean(vertices, d => d.x);
         let centerY = d3.mean(vertices, d => d.y);
 
         //Set vertices position in the poincare disk.
+        //The disk position is kept as the layout, panning only changes the view applied on top of it.
+        //A graph that was already laid out (e.g. shown by another instance in a different model) keeps its layout.
         for (let i = 0; i < vertices.length; i++) {
-          to_poincare(vertices[i], centerX, centerY, poindisk, true)
-        }
-        //Calculate geodesic arc between vertices in edge set
-        for (let i = 0; i < edges.length; i++) {
-          edges[i].arc = poincare_geodesic(edges[i].source.center, edges[i].target.center, poindisk)
+          if (this.forceDirected || vertices[i].disk === undefined) {
+            to_poincare(vertices[i], centerX, centerY, poindisk, true)
+            vertices[i].disk = canvas_to_disk(vertices[i].center, poindisk);
+          }
         }
+        // An index built while the force layout ran holds the old positions
+        this.index = null;
 
-        link
-          .attr('d', d => arc_path(d.arc, poindisk))
-          .attr('visibility', 'visible');
-
-        node
-          .attr("cx", d => d.circle.cx)
-          .attr("cy", d => d.circle.cy)
-          .attr('r', d => d.circle.r)
-          .attr('visibility', 'visible');
+        this.drawn = true;
+        this.redraw();
+        link.attr('visibility', 'visible');
+        node.attr('visibility', 'visible');
         waitingText.remove()
 
-        // Zoom functionality
-        // This helped me a lot: https://www.freecodecamp.org/news/get-ready-to-zoom-and-pan-like-a-pro-after-reading-this-in-depth-tutorial-5d963b0a153e/
-
-
-        zoom
-          .on('start', event => {
+        // Panning functionality
+        // Every drag step moves the point under the previous pointer position onto the current one
+        // with a hyperbolic translation, so the layout is moved by an isometry of the disk.
+        // A click is a drag that does not move, it leaves the focus where it was
+        let moved = false;
+        let drag = d3.drag()
+          .container(svg.node())
+          .on("start", () => {
+            moved = false;
           })
-          .on("zoom", event => {
-            if (event.transform.toString() === d3.zoomIdentity.toString()) {
+          .on("drag", event => {
+            if (event.dx === 0 && event.dy === 0) {
               return;
             }
-
-            // Zoom not behaving properly.
-            // Asked question in SO: https://stackoverflow.com/questions/70025602/how-to-reset-zoom-transform-after-zooming-without-reseting-selections-in-d3
-            if (event.transform.k !== 1) {
-              return;
-            }
-            // Update positions of vertices
-            // And Set vertices position in the poincare disk.
-            for (let i = 0; i < vertices.length; i++) {
-              // I know there is more efficient way to do this. Will solve this later
-              // Backup the original x and y
-              vertices[i].tmp = {
-                x: vertices[i].x,
-                y: vertices[i].y
-              }
-              vertices[i].x += event.transform.x;
-              vertices[i].y += event.transform.y;
-            }
-            // Calculate new poincare xy
-            for (let i = 0; i < vertices.length; i++) {
-              to_poincare(vertices[i], centerX, centerY, poindisk, true)
-            }
-
-            //Calculate geodesic arc between vertices in edge set
-            for (let i = 0; i < edges.length; i++) {
-              edges[i].arc = poincare_geodesic(edges[i].source.center, edges[i].target.center, poindisk)
-            }
-
-            node
-              .attr("cx", d => d.circle.cx)
-              .attr("cy", d => d.circle.cy)
-              .attr('r', d => d.circle.r);
-
-            link
-              .attr('d', d => arc_path(d.arc, poindisk));
-
-            // Restore original position
-            for (let i = 0; i < vertices.length; i++) {
-              vertices[i].x = vertices[i].tmp.x;
-              vertices[i].y = vertices[i].tmp.y;
-            }
-
-            // svg.call(zoom.transform, d3.zoomIdentity);
-
+            moved = true;
+            let from = clamp_to_disk(this.unproject({ x: event.x - event.dx, y: event.y - event.dy }));
+            let to = clamp_to_disk(this.unproject({ x: event.x, y: event.y }));
+            this.view = mobius_compose(mobius_translate_between(from, to), this.view);
+            this.redraw();
           })
-          .on('end', event => {
+          .on("end", event => {
+            if (moved) {
+              this.dispatch.call('focuschange', this, { focus: this.getFocus(), node: null, event: event.sourceEvent });
+            }
           });
 
-
         // @ts-ignore
-        svg.call(zoom);
+        svg.call(drag);
       }
 
       if (this.forceDirected) {
@@ -358,16 +619,1356 @@ class d3Hyperbolic {
         .force("charge", d3.forceManyBody().strength(-4000))         // This adds repulsion between nodes. Play with the -400 for the repulsion strength
         .force("center", d3.forceCenter(poindisk.cx, poindisk.cy))     // This force attracts nodes to the center of the svg area
         // This function is run at each iteration of the force algorithm, updating the nodes position.
-        .on("end", start_drawing);
+        .on("end", () => {
+          start_drawing();
+          this.dispatch.call('layoutend', this, { nodes: vertices, edges: edges });
+        });
 
       }
+      else if (this.layout === 'hyperbolic-force') {
+        // Forces are computed in the disk itself, the layout is drawn after every iteration
+        hyperbolic_initial_positions(vertices);
+        start_drawing();
+        this.startHyperbolicForce();
+      }
+      else if (this.layout === 'tree') {
+        hyperbolic_tree_layout(vertices, edges, this.treeRoot, { distance: this.treeDistance });
+        start_drawing();
+        this.dispatch.call('layoutend', this, { nodes: vertices, edges: edges });
+      }
       else {
         start_drawing();
+        this.dispatch.call('layoutend', this, { nodes: vertices, edges: edges });
+      }
+
+
+
+    }
+    return this;
+  }
+
+  /**
+   * Joins the nodes and edges of the graph to their svg elements, nodes by id and edges by identity.
+   * Elements of new nodes and edges are added, the ones of removed nodes and edges are taken out, and the rest keep their element.
+   * @returns `this` instance of d3Hyperbolic.
+   */
+  joinGraph() {
+    this.resolveStyles();
+    return this.joinElements();
+  }
+
+  /**
+   * Joins the nodes and edges that are not culled to their svg elements, see {@link joinGraph}.
+   * Culled nodes and edges have no element, they get one back when the level of detail draws them again.
+   * @returns `this` instance of d3Hyperbolic.
+   */
+  joinElements() {
+    if (this.canvas) {
+      // Nodes and edges are painted by drawCanvas, the selections stay empty
+      this.linkSelection = this.topLayer.selectAll("path.link");
+      this.nodeSelection = this.topLayer.selectAll("circle.node");
+      this.requestCanvasDraw();
+      return this;
+    }
+    let visibility = this.drawn ? 'visible' : 'hidden';
+    this.linkSelection = this.topLayer
+      .selectAll("path.link")
+      .data(this.graph.edges.filter(d => !d.culled), d => this.edgeKey(d))
+      .join(enter => enter
+        // Links stay under the nodes
+        .insert("path", "circle.node")
+        .attr("class", "link")
+        .attr('fill', 'none')
+        .attr('visibility', visibility)
+        .on('click', (event, d) => this.dispatch.call('edgeclick', this, { edge: d, event: event, ...this.eventPosition(event) })))
+      .attr('stroke-width', d => this.edgeStyle(d).width)
+      .attr('stroke', d => this.edgeStyle(d).stroke);
+
+    this.nodeSelection = this.topLayer
+      .selectAll("circle.node")
+      .data(this.graph.nodes.filter(d => !d.culled), d => d.id)
+      .join(enter => enter
+        // Nodes stay under the labels and proxies
+        .insert("circle", "g.labels")
+        .attr("r", this.nodeRadius)
+        .attr("class", "node")
+        .attr('visibility', visibility)
+        .on('click', (event, d) => {
+          this.dispatch.call('nodeclick', this, { node: d, event: event, ...this.eventPosition(event) });
+          if (this.view) {
+            this.focusOn(d.id);
+          }
+        })
+        .on('mouseenter', (event, d) => {
+          if (this.highlightNeighbors) {
+            this.highlightNode(d);
+          }
+          this.dispatch.call('nodehover', this, { node: d, event: event, ...this.eventPosition(event) });
+        })
+        .on('mouseleave', event => {
+          if (this.highlightNeighbors) {
+            this.highlightNode(null);
+          }
+          this.dispatch.call('nodehover', this, { node: null, event: event, ...this.eventPosition(event) });
+        }))
+      .attr("fill", d => this.nodeStyle(d).fill)
+      .attr('stroke', d => this.nodeStyle(d).stroke)
+      .attr('stroke-width', d => this.nodeStyle(d).strokeWidth);
+    return this;
+  }
+
+  /**
+   * Turns the style parameters into accessors of the nodes and edges, see {@link style_accessor}.
+   * Scales of attributes take their domain from the current graph, so this runs whenever the graph is joined, and redraws the legend.
+   * @returns `this` instance of d3Hyperbolic.
+   */
+  resolveStyles() {
+    let nodes = this.graph.nodes;
+    let edges = this.graph.edges;
+    this.styles = {
+      nodeColor: style_accessor(this.nodeColor, nodes, 'color'),
+      nodeSize: style_accessor(this.nodeSize, nodes, 'size', NODE_SIZE_RANGE),
+      nodeStroke: style_accessor(this.nodeStroke, nodes, 'color'),
+      nodeStrokeWidth: style_accessor(this.nodeStrokeWidth, nodes, 'size', NODE_STROKE_WIDTH_RANGE),
+      edgeColor: style_accessor(this.edgeColor, edges, 'color'),
+      edgeWidth: style_accessor(this.edgeWidth, edges, 'size', EDGE_WIDTH_RANGE)
+    };
+    this.styles.maxNodeSize = nodes.length > 0 ? d3.max(nodes, d => this.styles.nodeSize.value(d)) : NODE_SIZE;
+    this.drawLegend();
+    return this;
+  }
+
+  /**
+   * Colors and widths a node is drawn with, the same for both renderers.
+   * @param {Object} vertex - A node of the graph.
+   * @returns {{fill: string, stroke: string, strokeWidth: number}} - The node's style.
+   */
+  nodeStyle(vertex) {
+    return {
+      fill: this.styles.nodeColor.value(vertex),
+      stroke: this.styles.nodeStroke.value(vertex),
+      strokeWidth: this.styles.nodeStrokeWidth.value(vertex)
+    };
+  }
+
+  /**
+   * Color and width an edge is drawn with, the same for both renderers.
+   * @param {Object} edge - An edge of the graph.
+   * @returns {{stroke: string, width: number}} - The edge's style.
+   */
+  edgeStyle(edge) {
+    return {
+      stroke: this.styles.edgeColor.value(edge),
+      width: this.styles.edgeWidth.value(edge)
+    };
+  }
+
+  /**
+   * Draws a legend for every style taken from an attribute, beside the disk when the svg is wide enough and in its top left corner otherwise.
+   * @returns `this` instance of d3Hyperbolic.
+   */
+  drawLegend() {
+    if (!this.legendLayer) {
+      return this;
+    }
+    let labels = {
+      nodeColor: 'node color', nodeSize: 'node size', nodeStroke: 'node outline', nodeStrokeWidth: 'node outline width',
+      edgeColor: 'edge color', edgeWidth: 'edge width'
+    };
+    let entries = !this.legend ? [] : Object.keys(labels)
+      .filter(channel => this.styles[channel].legend !== null)
+      .map(channel => ({
+        legend: this.styles[channel].legend,
+        label: labels[channel],
+        shape: channel === 'nodeSize' ? 'circle' : 'line'
+      }));
+    let poindisk = HYPERBOLIC_MODELS.includes(this.projection) ? this.poindisk : null;
+    let x = poindisk && this.canvasWidth - poindisk.cx - poindisk.r >= LEGEND_WIDTH + LEGEND_GAP ? poindisk.cx + poindisk.r + LEGEND_GAP : 0;
+    this.legendLayer.attr('transform', 'translate(' + x + ',0)');
+    // Node sizes are hyperbolic radii, shown as drawn at the center of the disk
+    draw_legend(this.legendLayer, entries, size => poindisk ? this.projectCircle({ x: 0, y: 0 }, size).r : size, this.idPrefix);
+    return this;
+  }
+
+  /**
+   * Puts a canvas over the background for the canvas renderer, and hit-tests the pointer on it for the node and edge events.
+   * @returns `this` instance of d3Hyperbolic.
+   */
+  setupCanvas() {
+    let ratio = window.devicePixelRatio || 1;
+    let canvas = this.topLayer.append('foreignObject')
+      .attr('width', this.canvasWidth)
+      .attr('height', this.canvasHeight)
+      .append('xhtml:canvas')
+      .attr('width', this.canvasWidth * ratio)
+      .attr('height', this.canvasHeight * ratio)
+      .style('width', this.canvasWidth + 'px')
+      .style('height', this.canvasHeight + 'px')
+      .style('display', 'block');
+    this.canvas = canvas.node();
+    this.context = this.canvas.getContext('2d');
+    this.context.scale(ratio, ratio);
+    this.canvasFrame = null;
+    this.hovered = null;
+
+    canvas
+      .on('mousemove', event => {
+        let position = this.eventPosition(event);
+        let vertex = this.nodeAt(position.canvas);
+        if (vertex === this.hovered) {
+          return;
+        }
+        this.hovered = vertex;
+        canvas.style('cursor', vertex ? 'pointer' : null);
+        if (this.highlightNeighbors) {
+          this.highlightNode(vertex);
+        }
+        this.dispatch.call('nodehover', this, { node: vertex, event: event, ...position });
+      })
+      .on('mouseleave', event => {
+        if (this.hovered === null) {
+          return;
+        }
+        this.hovered = null;
+        if (this.highlightNeighbors) {
+          this.highlightNode(null);
+        }
+        this.dispatch.call('nodehover', this, { node: null, event: event, ...this.eventPosition(event) });
+      })
+      .on('click', event => {
+        let position = this.eventPosition(event);
+        let vertex = this.nodeAt(position.canvas);
+        if (vertex) {
+          this.dispatch.call('nodeclick', this, { node: vertex, event: event, ...position });
+          this.focusOn(vertex.id);
+          return;
+        }
+        let proxy = this.proxies.find(d => Math.hypot(position.canvas.x - d.x, position.canvas.y - d.y) <= d.r);
+        if (proxy) {
+          this.focusOn(proxy.nodes[0].id);
+          return;
+        }
+        let edge = this.edgeAt(position.canvas);
+        if (edge) {
+          this.dispatch.call('edgeclick', this, { edge: edge, event: event, ...position });
+        }
+      });
+    return this;
+  }
+
+  /**
+   * Paints the graph onto the canvas in the next animation frame. Any number of calls within a frame paint it once.
+   * @returns `this` instance of d3Hyperbolic.
+   */
+  requestCanvasDraw() {
+    if (this.canvasFrame === null) {
+      this.canvasFrame = window.requestAnimationFrame(() => {
+        this.canvasFrame = null;
+        this.drawCanvas();
+      });
+    }
+    return this;
+  }
+
+  /**
+   * Paints the nodes and edges onto the canvas. Elements sharing a style are traced into one path and painted together,
+   * so a frame takes one stroke per style instead of one per element.
+   * @returns `this` instance of d3Hyperbolic.
+   */
+  drawCanvas() {
+    let context = this.context;
+    context.clearRect(0, 0, this.canvasWidth, this.canvasHeight);
+    if (!this.drawn) {
+      return this;
+    }
+    let dimmed = {
+      edge: d => this.highlighted !== null && d.source !== this.highlighted.node && d.target !== this.highlighted.node,
+      node: d => this.highlighted !== null && !this.highlighted.near.has(d)
+    };
+
+    let edgeBatches = d3.group(this.graph.edges.filter(d => !d.culled), d => {
+      let style = this.edgeStyle(d);
+      return [style.stroke, style.width, dimmed.edge(d)].join('|');
+    });
+    for (const batch of edgeBatches.values()) {
+      let style = this.edgeStyle(batch[0]);
+      context.beginPath();
+      for (const edge of batch) {
+        this.traceGeodesic(context, edge.source.viewDisk, edge.target.viewDisk);
+      }
+      context.globalAlpha = dimmed.edge(batch[0]) ? HIGHLIGHT_DIM_OPACITY : 1;
+      context.strokeStyle = style.stroke;
+      context.lineWidth = style.width;
+      context.stroke();
+    }
+
+    let nodeBatches = d3.group(this.graph.nodes.filter(d => !d.culled), d => {
+      let style = this.nodeStyle(d);
+      return [style.fill, style.stroke, style.strokeWidth, dimmed.node(d)].join('|');
+    });
+    for (const batch of nodeBatches.values()) {
+      let style = this.nodeStyle(batch[0]);
+      context.beginPath();
+      for (const vertex of batch) {
+        context.moveTo(vertex.circle.cx + vertex.circle.r, vertex.circle.cy);
+        context.arc(vertex.circle.cx, vertex.circle.cy, vertex.circle.r, 0, 2 * Math.PI);
+      }
+      context.globalAlpha = dimmed.node(batch[0]) ? HIGHLIGHT_DIM_OPACITY : 1;
+      context.fillStyle = style.fill;
+      context.fill();
+      context.strokeStyle = style.stroke;
+      context.lineWidth = style.strokeWidth;
+      context.stroke();
+    }
+    context.globalAlpha = 1;
+
+    context.fillStyle = 'black';
+    context.textAlign = 'left';
+    context.textBaseline = 'middle';
+    for (const label of this.placedLabels) {
+      context.globalAlpha = label.opacity;
+      context.font = label.size + 'px ' + this.labelFont;
+      context.fillText(label.text, label.x, label.y);
+    }
+    context.globalAlpha = 1;
+
+    if (this.proxies.length > 0) {
+      context.beginPath();
+      for (const proxy of this.proxies) {
+        context.moveTo(proxy.x + proxy.r, proxy.y);
+        context.arc(proxy.x, proxy.y, proxy.r, 0, 2 * Math.PI);
+      }
+      context.fillStyle = 'white';
+      context.fill();
+      context.strokeStyle = 'grey';
+      context.lineWidth = 1;
+      context.stroke();
+      context.fillStyle = 'black';
+      context.font = '9px sans-serif';
+      context.textAlign = 'center';
+      context.textBaseline = 'middle';
+      for (const proxy of this.proxies.filter(d => d.nodes.length > 1)) {
+        context.fillText(proxy.nodes.length, proxy.x, proxy.y);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Adds the geodesic segment between two points in the current model to the canvas path.
+   * @param {CanvasRenderingContext2D} context - The canvas context.
+   * @param {{x: number, y: number}} p - Startpoint in poincare disk coordinates.
+   * @param {{x: number, y: number}} q - Endpoint in poincare disk coordinates.
+   */
+  traceGeodesic(context, p, q) {
+    let a = this.project(p);
+    let b = this.project(q);
+    context.moveTo(a.x, a.y);
+    let circle = this.projection === 'hyperbolic' ? geodesic_circle(p, q) : null;
+    if (circle !== null) {
+      // The short arc turns the way p turns into q around the center on screen, as in geodesic_path_to
+      let c = disk_to_canvas({ x: circle.cx, y: circle.cy }, this.poindisk);
+      let cross = (a.x - c.x) * (b.y - c.y) - (a.y - c.y) * (b.x - c.x);
+      context.arc(c.x, c.y, circle.r * this.poindisk.r, Math.atan2(a.y - c.y, a.x - c.x), Math.atan2(b.y - c.y, b.x - c.x), cross <= 0);
+    }
+    else if (this.projection === 'hyperbolic' || this.projection === 'klein') {
+      context.lineTo(b.x, b.y);
+    }
+    else {
+      for (let i = 1; i <= HYPERBOLOID_GEODESIC_SAMPLES; i++) {
+        let c = this.project(geodesic_interpolate(p, q, i / HYPERBOLOID_GEODESIC_SAMPLES));
+        context.lineTo(c.x, c.y);
+      }
+    }
+  }
+
+  /**
+   * The node drawn at a canvas position, the nearest one when they overlap.
+   * @param {{x: number, y: number}} c - Position in the canvas.
+   * @returns {Object|null} - The node, or null.
+   */
+  nodeAt(c) {
+    let inside = vertex => {
+      let circle = vertex.circle;
+      return circle && !vertex.culled && Math.hypot(c.x - circle.cx, c.y - circle.cy) <= circle.r + this.nodeStyle(vertex).strokeWidth / 2;
+    };
+    // Nodes are hyperbolic circles no bigger than the largest node size, so only nodes that close to the pointer can be under it.
+    // Twice the size leaves room for the outline.
+    let vertex = this.withinRadius(this.unproject(c), 2 * this.styles.maxNodeSize).find(inside);
+    return vertex === undefined ? null : vertex;
+  }
+
+  /**
+   * The spatial index over the layout positions of the nodes, see {@link hyperbolic_index}. It is built on first use and kept
+   * up to date as nodes are added, removed or moved. Panning needs no update, queries are mapped back into the layout instead.
+   * @returns {HyperbolicIndex} - The index.
+   */
+  spatialIndex() {
+    if (this.index === null) {
+      this.index = hyperbolic_index(this.graph.nodes.filter(d => d.disk !== undefined));
+    }
+    return this.index;
+  }
+
+  /**
+   * Maps a point of the current view back into the layout, where the spatial index lives.
+   * @param {{x: number, y: number}} point - A point in poincare disk coordinates as it is shown.
+   * @returns {{x: number, y: number}} - The same point in the layout.
+   */
+  toLayout(point) {
+    return this.view ? mobius_apply(mobius_inverse(this.view), point) : point;
+  }
+
+  /**
+   * The node nearest to a point by hyperbolic distance, e.g. for a tooltip under the pointer.
+   * @example hyperbolicSys.on('nodehover', e => e.node || hyperbolicSys.nearest(e.disk));
+   * @param {{x: number, y: number}} point - A point in poincare disk coordinates as shown in the current view, like the `disk` of an event.
+   * @param {number} maxDistance - Only look this far, in hyperbolic distance.
+   * @returns {Object|null} - The node, or null.
+   */
+  nearest(point, maxDistance = Infinity) {
+    return this.spatialIndex().nearest(this.toLayout(point), maxDistance);
+  }
+
+  /**
+   * The nodes within a hyperbolic distance of a point, nearest first.
+   * @param {{x: number, y: number}} point - A point in poincare disk coordinates as shown in the current view.
+   * @param {number} r - The hyperbolic radius.
+   * @returns {Object[]} - The nodes.
+   */
+  withinRadius(point, r) {
+    return this.spatialIndex().withinRadius(this.toLayout(point), r);
+  }
+
+  /**
+   * The nodes inside a polygon with geodesic sides, e.g. a lasso drawn over the view.
+   * @param {{x: number, y: number}[]} vertices - The polygon in poincare disk coordinates as shown in the current view.
+   * @returns {Object[]} - The nodes.
+   */
+  inPolygon(vertices) {
+    return this.spatialIndex().inPolygon(vertices.map(v => this.toLayout(v)));
+  }
+
+  /**
+   * The edge drawn closest to a canvas position, if it is within a few pixels. Edges are compared through points sampled along them.
+   * @param {{x: number, y: number}} c - Position in the canvas.
+   * @returns {Object|null} - The edge, or null.
+   */
+  edgeAt(c) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const edge of this.graph.edges.filter(d => !d.culled)) {
+      let samples = d3.range(CANVAS_EDGE_HIT_SAMPLES + 1)
+        .map(i => this.project(geodesic_interpolate(edge.source.viewDisk, edge.target.viewDisk, i / CANVAS_EDGE_HIT_SAMPLES)));
+      for (let i = 1; i < samples.length; i++) {
+        let distance = point_segment_distance(c, samples[i - 1], samples[i]);
+        if (distance < bestDistance) {
+          best = edge;
+          bestDistance = distance;
+        }
+      }
+    }
+    return bestDistance <= CANVAS_EDGE_HIT_PIXELS ? best : null;
+  }
+
+  /**
+   * Writes the current drawing as a standalone svg document. With the canvas renderer the nodes and edges are drawn as svg for it.
+   * @returns {string} - The svg document.
+   */
+  exportSVG() {
+    let svg = d3.create('svg')
+      .attr('xmlns', 'http://www.w3.org/2000/svg')
+      .attr('width', this.svgWidth)
+      .attr('height', this.svgHeight);
+    let copy = d3.select(svg.node().appendChild(this.container.node().cloneNode(true)));
+    copy.selectAll('.wait, foreignObject').remove();
+    if (this.canvas) {
+      let top = copy.select('.toplayer');
+      top.selectAll('path.link')
+        .data(this.graph.edges.filter(d => !d.culled))
+        .join('path')
+        .attr('class', 'link')
+        .attr('fill', 'none')
+        .attr('d', d => this.geodesicPath(d.source.viewDisk, d.target.viewDisk))
+        .attr('stroke', d => this.edgeStyle(d).stroke)
+        .attr('stroke-width', d => this.edgeStyle(d).width);
+      top.selectAll('circle.node')
+        .data(this.graph.nodes.filter(d => !d.culled))
+        .join('circle')
+        .attr('class', 'node')
+        .attr('cx', d => d.circle.cx)
+        .attr('cy', d => d.circle.cy)
+        .attr('r', d => d.circle.r)
+        .attr('fill', d => this.nodeStyle(d).fill)
+        .attr('stroke', d => this.nodeStyle(d).stroke)
+        .attr('stroke-width', d => this.nodeStyle(d).strokeWidth);
+      this.drawLabels(copy.select('g.labels'));
+      this.drawProxies(copy.select('g.lod'));
+    }
+    return new XMLSerializer().serializeToString(svg.node());
+  }
+
+  /**
+   * Key of an edge in the join, edges are told apart by identity so parallel edges get their own element.
+   * @param {Object} edge - An edge of the graph.
+   * @returns {number} - The key, the same for the same edge object.
+   */
+  edgeKey(edge) {
+    if (!this.edgeKeys) {
+      this.edgeKeys = new WeakMap();
+      this.nextEdgeKey = 0;
+    }
+    if (!this.edgeKeys.has(edge)) {
+      this.edgeKeys.set(edge, this.nextEdgeKey++);
+    }
+    return this.edgeKeys.get(edge);
+  }
+
+  /**
+   * Places the nodes and edges of the euclidean projection at the nodes' canvas positions, under the current zoom.
+   * @returns `this` instance of d3Hyperbolic.
+   */
+  drawEuclidean() {
+    this.linkSelection
+      .attr('d', d => d3.line()([[d.source.x, d.source.y], [d.target.x, d.target.y]]))
+      .attr('transform', this.zoomTransform);
+    this.nodeSelection
+      .attr("cx", d => d.x)
+      .attr("cy", d => d.y)
+      .attr('transform', this.zoomTransform);
+    return this;
+  }
+
+  /**
+   * Redraws the graph after it changed, keeping the layout of the other nodes and the current view.
+   * @returns `this` instance of d3Hyperbolic.
+   */
+  update() {
+    if (!this.topLayer) {
+      return this;
+    }
+    this.joinGraph();
+    if (!this.drawn) {
+      return this;
+    }
+    if (this.projection === 'euclidean') {
+      this.drawEuclidean();
+    }
+    else {
+      this.redraw();
+    }
+    return this;
+  }
+
+  /**
+   * Gives an edge end as a node of the graph.
+   * @param {Object|string|number} end - A node object, a node id, or an index into the nodes list.
+   * @returns {Object} - The node.
+   */
+  resolveNode(end) {
+    if (typeof end === 'object') {
+      return end;
+    }
+    let vertex = this.graph.nodes.find(d => String(d.id) === String(end));
+    if (vertex !== undefined) {
+      return vertex;
+    }
+    if (Number.isInteger(end) && this.graph.nodes[end] !== undefined) {
+      return this.graph.nodes[end];
+    }
+    throw new Error('Edge refers to unknown node ' + end);
+  }
+
+  /**
+   * Adds nodes, and optionally edges, to the graph without rendering it again.
+   * New nodes without a `disk` position are placed near their positioned neighbors with {@link hyperbolic_place_near},
+   * or near the current focus when they have none. The other nodes and the view stay where they are.
+   * @example hyperbolicSys.addNodes([{ id: 'new' }], [{ source: 'new', target: 3 }]);
+   * @param {Object[]} nodes - The new nodes, each with an id that is not in the graph yet.
+   * @param {Object[]} edges - Edges to add with them, as for {@link addEdges}.
+   * @returns `this` instance of d3Hyperbolic.
+   */
+  addNodes(nodes, edges = []) {
+    for (const vertex of nodes) {
+      if (this.graph.nodes.some(d => String(d.id) === String(vertex.id))) {
+        throw new Error('A node with id ' + vertex.id + ' is already in the graph');
+      }
+      this.graph.nodes.push(vertex);
+    }
+    this.addEdges(edges, false);
+    if (this.view) {
+      let focus = this.getFocus();
+      nodes.filter(vertex => vertex.disk === undefined).forEach((vertex, i) => {
+        let neighbors = this.graph.edges
+          .filter(edge => edge.source === vertex || edge.target === vertex)
+          .map(edge => edge.source === vertex ? edge.target : edge.source);
+        hyperbolic_place_near(vertex, neighbors, focus, i);
+      });
+      if (this.index !== null) {
+        this.index.add(nodes);
+      }
+    }
+    else {
+      // The euclidean projection draws the canvas positions
+      let goldenAngle = Math.PI * (3 - Math.sqrt(5));
+      nodes.filter(d => d.x === undefined || d.y === undefined).forEach((vertex, i) => {
+        let neighbors = this.graph.edges
+          .filter(edge => edge.source === vertex || edge.target === vertex)
+          .map(edge => edge.source === vertex ? edge.target : edge.source)
+          .filter(d => d.x !== undefined);
+        vertex.x = (neighbors.length ? d3.mean(neighbors, d => d.x) : this.canvasWidth / 2) + EUCLIDEAN_NEW_NODE_OFFSET * Math.cos(i * goldenAngle);
+        vertex.y = (neighbors.length ? d3.mean(neighbors, d => d.y) : this.canvasHeight / 2) + EUCLIDEAN_NEW_NODE_OFFSET * Math.sin(i * goldenAngle);
+      });
+    }
+    return this.update();
+  }
+
+  /**
+   * Removes nodes and the edges touching them.
+   * @param {Array<Object|string|number>} nodes - The nodes to remove, as node objects or ids.
+   * @returns `this` instance of d3Hyperbolic.
+   */
+  removeNodes(nodes) {
+    let removed = new Set(nodes.map(d => this.resolveNode(d)));
+    if (this.index !== null) {
+      this.index.remove(Array.from(removed));
+    }
+    this.graph.nodes = this.graph.nodes.filter(d => !removed.has(d));
+    this.graph.edges = this.graph.edges.filter(d => !removed.has(d.source) && !removed.has(d.target));
+    return this.update();
+  }
+
+  /**
+   * Adds edges to the graph. Their ends can be node objects, node ids, or indices into the nodes list, like in {@link setGraph}.
+   * @param {Object[]} edges - The new edges with `source` and `target`.
+   * @param {boolean} redraw - Draw the change right away.
+   * @returns `this` instance of d3Hyperbolic.
+   */
+  addEdges(edges, redraw = true) {
+    for (const edge of edges) {
+      edge.source = this.resolveNode(edge.source);
+      edge.target = this.resolveNode(edge.target);
+      this.graph.edges.push(edge);
+    }
+    return redraw ? this.update() : this;
+  }
+
+  /**
+   * Removes edges from the graph.
+   * @param {Object[]} edges - Edge objects of the graph, or `source`/`target` pairs removing every edge between those nodes in either direction.
+   * @returns `this` instance of d3Hyperbolic.
+   */
+  removeEdges(edges) {
+    let removed = new Set();
+    for (const edge of edges) {
+      if (this.graph.edges.includes(edge)) {
+        removed.add(edge);
+        continue;
+      }
+      let source = this.resolveNode(edge.source);
+      let target = this.resolveNode(edge.target);
+      this.graph.edges
+        .filter(d => (d.source === source && d.target === target) || (d.source === target && d.target === source))
+        .forEach(d => removed.add(d));
+    }
+    this.graph.edges = this.graph.edges.filter(d => !removed.has(d));
+    return this.update();
+  }
+
+  /**
+   * Changes attributes of a node, e.g. its `color`, or its `disk` position to move it in the layout.
+   * @example hyperbolicSys.updateNode(3, { color: '#ff0000' });
+   * @param {Object|string|number} nodeId - The node, or its id.
+   * @param {Object} changes - The attributes to set on the node.
+   * @returns `this` instance of d3Hyperbolic.
+   */
+  updateNode(nodeId, changes) {
+    let vertex = this.resolveNode(nodeId);
+    if (changes.id !== undefined && String(changes.id) !== String(vertex.id)) {
+      throw new Error('The id of a node cannot be changed');
+    }
+    Object.assign(vertex, changes);
+    if (changes.disk !== undefined && this.index !== null) {
+      this.index.update([vertex]);
+    }
+    return this.update();
+  }
+
+  /**
+   * Recomputes the node circles and edge geodesics of the hyperbolic projection from the layout and the current view.
+   * @returns `this` instance of d3Hyperbolic.
+   */
+  redraw() {
+    let vertices = this.graph.nodes;
+    let edges = this.graph.edges;
+
+    for (let i = 0; i < vertices.length; i++) {
+      vertices[i].viewDisk = mobius_apply(this.view, vertices[i].disk);
+      vertices[i].center = this.project(vertices[i].viewDisk);
+    }
+    let cullingChanged = this.levelOfDetail();
+    // Culled nodes are not drawn, so their circles are not projected
+    for (let i = 0; i < vertices.length; i++) {
+      vertices[i].circle = vertices[i].culled ? null : this.projectCircle(vertices[i].viewDisk, this.styles.nodeSize.value(vertices[i]));
+    }
+    this.placeLabels();
+    if (this.canvas) {
+      // Edges are traced while painting, with no path strings in between
+      this.requestCanvasDraw();
+    }
+    else {
+      //Calculate geodesic between vertices in edge set, culled edges are not drawn
+      for (let i = 0; i < edges.length; i++) {
+        edges[i].path = edges[i].culled ? null : this.geodesicPath(edges[i].source.viewDisk, edges[i].target.viewDisk);
+      }
+
+      if (cullingChanged) {
+        this.joinElements();
+      }
+      this.nodeSelection
+        .attr("cx", d => d.circle.cx)
+        .attr("cy", d => d.circle.cy)
+        .attr('r', d => d.circle.r);
+
+      this.linkSelection
+        .attr('d', d => d.path);
+
+      this.drawLabels();
+      this.drawProxies();
+    }
+
+    this.drawTiling();
+    this.drawVoronoi();
+    return this;
+  }
+
+  /**
+   * Level of detail: while the `lod` parameter is on, nodes drawn smaller than `lodMinPixels` are culled, and so are edges shorter than that
+   * or between two culled nodes.
+   * The culled nodes are gathered into proxies which show how many nodes they stand for. The biggest culled node starts a proxy, and the
+   * culled nodes closer than `lodClusterPixels` to it join it, then the biggest node left starts the next one. A proxy is drawn on the node
+   * it started from, so proxies never overlap. Moving the focus towards them makes the nodes big enough to be drawn again.
+   * @returns {boolean} Whether any node or edge was culled or drawn again, its svg element has to be joined or taken out then.
+   */
+  levelOfDetail() {
+    let vertices = this.graph.nodes;
+    let edges = this.graph.edges;
+    let changed = false;
+    this.proxies = [];
+    let radius = new Map();
+    for (const vertex of vertices) {
+      let culled = false;
+      if (this.lod) {
+        radius.set(vertex, this.projectedRadius(vertex.viewDisk, this.styles.nodeSize.value(vertex)));
+        culled = radius.get(vertex) < this.lodMinPixels;
+      }
+      changed = changed || culled !== Boolean(vertex.culled);
+      vertex.culled = culled;
+    }
+    for (const edge of edges) {
+      // Edges inside the culled part of the graph go with their nodes, edges leading into it lead to the proxies
+      let culled = this.lod && ((edge.source.culled && edge.target.culled) || euclid_dist(edge.source.center, edge.target.center) < this.lodMinPixels);
+      changed = changed || culled !== Boolean(edge.culled);
+      edge.culled = culled;
+    }
+    if (!this.lod) {
+      return changed;
+    }
+    let starts = d3.quadtree().x(d => d.x).y(d => d.y);
+    for (const vertex of vertices.filter(d => d.culled).sort((a, b) => radius.get(b) - radius.get(a))) {
+      let proxy = starts.find(vertex.center.x, vertex.center.y, this.lodClusterPixels);
+      if (proxy === undefined) {
+        proxy = { nodes: [], x: vertex.center.x, y: vertex.center.y };
+        starts.add(proxy);
+        this.proxies.push(proxy);
+      }
+      proxy.nodes.push(vertex);
+    }
+    for (const proxy of this.proxies) {
+      proxy.r = Math.min(LOD_PROXY_RADIUS * (1 + Math.log2(proxy.nodes.length)), this.lodClusterPixels / 2);
+    }
+    return changed;
+  }
+
+  /**
+   * Places the labels of the nodes, read from their `labelField` attribute, to the right of the nodes.
+   * The font grows with the drawn radius of the node times `labelScale` up to `labelMaxPixels`, labels fade out as it shrinks
+   * from twice `labelMinPixels` and are fully transparent at it. Nodes closer to the focus go first, and a label that would overlap
+   * one already placed or a drawn node is left out.
+   * @returns `this` instance of d3Hyperbolic.
+   */
+  placeLabels() {
+    this.placedLabels = [];
+    if (!this.labels) {
+      return this;
+    }
+    let candidates = this.graph.nodes
+      .filter(d => !d.culled && d[this.labelField] !== undefined && d[this.labelField] !== null && d[this.labelField] !== '')
+      .map(d => ({ node: d, size: Math.min(d.circle.r * this.labelScale, this.labelMaxPixels) }))
+      .filter(d => d.size > this.labelMinPixels)
+      // The hyperbolic distance to the focus grows with the Euclidean distance to the disk center
+      .sort((a, b) => Math.hypot(a.node.viewDisk.x, a.node.viewDisk.y) - Math.hypot(b.node.viewDisk.x, b.node.viewDisk.y));
+    candidates.forEach(candidate => {
+      candidate.text = String(candidate.node[this.labelField]);
+      candidate.x = candidate.node.circle.cx + candidate.node.circle.r + LABEL_GAP;
+      candidate.y = candidate.node.circle.cy;
+      candidate.box = {
+        x0: candidate.x,
+        x1: candidate.x + candidate.text.length * candidate.size * LABEL_CHAR_WIDTH,
+        y0: candidate.y - candidate.size / 2,
+        y1: candidate.y + candidate.size / 2
+      };
+    });
+    // Grid cells of the canvas a box reaches, so that boxes are only tested against the boxes around them
+    let columns = Math.ceil(this.canvasWidth / LABEL_GRID_PIXELS);
+    let rows = Math.ceil(this.canvasHeight / LABEL_GRID_PIXELS);
+    let eachCell = (box, visit) => {
+      for (let i = Math.max(0, Math.floor(box.x0 / LABEL_GRID_PIXELS)); i <= Math.min(columns - 1, Math.floor(box.x1 / LABEL_GRID_PIXELS)); i++) {
+        for (let j = Math.max(0, Math.floor(box.y0 / LABEL_GRID_PIXELS)); j <= Math.min(rows - 1, Math.floor(box.y1 / LABEL_GRID_PIXELS)); j++) {
+          visit(i * rows + j);
+        }
+      }
+    };
+    let overlap = (a, b) => a.x0 < b.x1 && b.x0 < a.x1 && a.y0 < b.y1 && b.y0 < a.y1;
+    let grid = new Map();
+    let add = (box, item) => eachCell(box, key => grid.has(key) ? grid.get(key).push(item) : grid.set(key, [item]));
+
+    // A label that would cover a drawn node is left out. There are far fewer labels than nodes, so the labels go into the grid
+    // and every node is tested once. A label starts past its own node so it never hits that one.
+    candidates.forEach(candidate => add(candidate.box, candidate));
+    for (const vertex of this.graph.nodes) {
+      if (vertex.culled || !vertex.circle) {
+        continue;
+      }
+      let c = vertex.circle;
+      let box = { x0: c.cx - c.r, x1: c.cx + c.r, y0: c.cy - c.r, y1: c.cy + c.r };
+      eachCell(box, key => {
+        for (const candidate of grid.get(key) || []) {
+          candidate.covers = candidate.covers || overlap(box, candidate.box);
+        }
+      });
+    }
+
+    grid = new Map();
+    for (const candidate of candidates) {
+      let covered = candidate.covers;
+      eachCell(candidate.box, key => {
+        covered = covered || (grid.get(key) || []).some(box => overlap(box, candidate.box));
+      });
+      if (covered) {
+        continue;
+      }
+      add(candidate.box, candidate.box);
+      this.placedLabels.push({
+        node: candidate.node,
+        text: candidate.text,
+        x: candidate.x,
+        y: candidate.y,
+        size: candidate.size,
+        opacity: Math.min(1, (candidate.size - this.labelMinPixels) / this.labelMinPixels)
+      });
+    }
+    return this;
+  }
+
+  /**
+   * Draws the placed labels as svg text.
+   * @param {d3.Selection} layer - The svg group holding the labels.
+   * @returns `this` instance of d3Hyperbolic.
+   */
+  drawLabels(layer = this.labelLayer) {
+    layer.selectAll('text.label')
+      .data(this.placedLabels, d => d.node.id)
+      .join(enter => enter.append('text')
+        .attr('class', 'label')
+        .attr('dominant-baseline', 'middle'))
+      .attr('x', d => d.x)
+      .attr('y', d => d.y)
+      .style('font-family', this.labelFont)
+      .style('font-size', d => d.size + 'px')
+      .style('opacity', d => d.opacity)
+      .text(d => d.text);
+    return this;
+  }
+
+  /**
+   * Draws the proxies of culled nodes as svg, with their node count. Clicking a proxy focuses on the node it is centered on.
+   * @param {d3.Selection} layer - The svg group holding the proxies.
+   * @returns `this` instance of d3Hyperbolic.
+   */
+  drawProxies(layer = this.proxyLayer) {
+    let proxy = layer
+      .selectAll('g.lod-proxy')
+      .data(this.proxies)
+      .join(enter => {
+        let group = enter.append('g')
+          .attr('class', 'lod-proxy')
+          .style('cursor', 'pointer')
+          .on('click', (event, d) => this.focusOn(d.nodes[0].id));
+        group.append('circle')
+          .attr('fill', 'white')
+          .attr('stroke', 'grey');
+        group.append('text')
+          .attr('text-anchor', 'middle')
+          .attr('dominant-baseline', 'central')
+          .style('font-size', '9px')
+          .style('pointer-events', 'none');
+        return group;
+      });
+    proxy.select('circle')
+      .attr('cx', d => d.x)
+      .attr('cy', d => d.y)
+      .attr('r', d => d.r);
+    proxy.select('text')
+      .attr('x', d => d.x)
+      .attr('y', d => d.y)
+      .text(d => d.nodes.length > 1 ? d.nodes.length : '');
+    return this;
+  }
+
+  /**
+   * Draws the outline of the current model of the hyperbolic plane into the background layer.
+   * @returns `this` instance of d3Hyperbolic.
+   */
+  drawBackground() {
+    let poindisk = this.poindisk;
+    this.backgroundLayer.selectAll('*').remove();
+
+    if (this.projection === 'halfplane') {
+      // The real axis runs along the bottom of the disk's square
+      this.backgroundLayer.append('rect')
+        .attr('x', poindisk.boundbox.left)
+        .attr('y', poindisk.boundbox.top)
+        .attr('width', poindisk.boundbox.right - poindisk.boundbox.left)
+        .attr('height', poindisk.cy + poindisk.r - poindisk.boundbox.top)
+        .style('fill', 'lightgrey');
+      this.backgroundLayer.append('line')
+        .attr('x1', poindisk.boundbox.left)
+        .attr('x2', poindisk.boundbox.right)
+        .attr('y1', poindisk.cy + poindisk.r)
+        .attr('y2', poindisk.cy + poindisk.r)
+        .style('stroke', 'black');
+    }
+    else if (this.projection === 'hyperboloid') {
+      // Rim of the visible part of the sheet
+      let rim = d3.range(0, 2 * Math.PI, Math.PI / 64)
+        .map(theta => this.project(polar_to_cart(r_poincare_to_euclid(HYPERBOLOID_EXTENT), theta)));
+      this.backgroundLayer.append('path')
+        .attr('d', d3.line().x(p => p.x).y(p => p.y).curve(d3.curveLinearClosed)(rim))
+        .style('fill', 'lightgrey')
+        .style('stroke', 'black');
+    }
+    else {
+      this.backgroundLayer.append('circle')
+        .attr('cx', poindisk.cx)
+        .attr('cy', poindisk.cy)
+        .attr('r', poindisk.r)
+        .style('fill', 'lightgrey')
+        .style('stroke', 'black');
+    }
+    // Filled by drawTiling, over the model's outline and under the graph
+    this.tilingLayer = this.backgroundLayer.append('g')
+      .attr('class', 'tiling');
+    // Filled by drawVoronoi, over the tiling
+    this.voronoiLayer = this.backgroundLayer.append('g')
+      .attr('class', 'voronoi');
+    return this;
+  }
+
+  /**
+   * Draws the regular tiling set with the `tiling` parameter into the background, moved by the current view like the graph.
+   * The tiles are kept in layout coordinates and only moved by the view, they are built again around the disk center when the tiling
+   * changes or the center of the view leaves the tile it started in. Tiles smaller than `tilingMinSize` pixels in the disk are left out.
+   * @returns `this` instance of d3Hyperbolic.
+   */
+  drawTiling() {
+    if (this.tiling === null) {
+      this.tiles = null;
+      this.tilingLayer.selectAll('*').remove();
+      return this;
+    }
+    let p = this.tiling.p;
+    let q = this.tiling.q;
+    let minSize = this.tilingMinSize / this.poindisk.r;
+    let key = [p, q, this.tilingDepth, minSize].join();
+    if (this.tiles === null || this.tiles.key !== key || !tile_contains(this.tiles.tiles[0], this.getFocus())) {
+      // While the view center stays in the first tile it moves less than a tile diameter, which grows tiles by at most
+      // e^diameter, so tiles that small are kept too
+      let diameter = 2 * hyper_radius_from_euclidean(tiling_vertex_radius(p, q));
+      let back = mobius_inverse(this.view);
+      let tiles = regular_tiling(p, q, { depth: this.tilingDepth, minSize: minSize * Math.exp(-diameter), transform: this.view });
+      this.tiles = {
+        key: key,
+        tiles: tiles.map(tile => Object.assign({}, tile, {
+          vertices: tile.vertices.map(v => mobius_apply(back, v)),
+          center: mobius_apply(back, tile.center)
+        }))
+      };
+    }
+    let tiles = this.tiles.tiles
+      .map(tile => Object.assign({}, tile, {
+        vertices: tile.vertices.map(v => mobius_apply(this.view, v)),
+        center: mobius_apply(this.view, tile.center)
+      }))
+      .filter(tile => tile_size(tile) >= minSize);
+    draw_tiling(this.tilingLayer, tiles, vertices => this.polygonPath(vertices), { fill: this.tilingFill });
+    return this;
+  }
+
+  /**
+   * Draws the hyperbolic Voronoi diagram of the nodes into the background when the `voronoi`, `voronoiCells` or `delaunay` parameter is set.
+   * Cells are only filled in the Poincare disk, the other models draw the edges.
+   * @returns `this` instance of d3Hyperbolic.
+   */
+  drawVoronoi() {
+    if (!this.voronoi && !this.voronoiCells && !this.delaunay) {
+      this.voronoiLayer.selectAll('*').remove();
+      return this;
+    }
+    // The diagram of the layout is moved by the view like the nodes, isometries map it onto the diagram of the moved nodes
+    let diagram = this.layoutVoronoi();
+    let move = p => mobius_apply(this.view, p);
+    let moveEdge = edge => ({ sites: edge.sites, from: move(edge.from), to: move(edge.to), middle: move(edge.middle) });
+    let cells = this.voronoiCells && this.projection === 'hyperbolic';
+    let shown = {
+      edges: this.voronoi ? diagram.edges.map(moveEdge) : [],
+      delaunay: diagram.delaunay,
+      cells: cells ? diagram.cells.map(cell => cell.map(moveEdge)) : []
+    };
+    let sites = this.graph.nodes.map(d => d.viewDisk);
+    // Ideal ends of the Voronoi edges are only drawable in the Poincare disk
+    let inside = this.projection === 'hyperbolic' ? p => p : p => clamp_to_disk(p, VORONOI_MODEL_RADIUS);
+    draw_voronoi(this.voronoiLayer, shown, sites, {
+      cell: cell => voronoi_cell_path(cell, this.poindisk),
+      segment: (p, q) => this.geodesicPath(inside(p), inside(q))
+    }, {
+      cells: cells,
+      voronoi: this.voronoi,
+      delaunay: this.delaunay
+    });
+    return this;
+  }
+
+  /**
+   * The hyperbolic Voronoi diagram of the nodes in the layout, for nearest neighbor queries on the embedding.
+   * Moving the view moves the diagram with it, so it is computed from the layout positions.
+   * @example hyperbolicSys.getVoronoi().cells[0] // edges around the region of the first node
+   * @returns {{'nodes': Object[], 'edges': VoronoiEdge[], 'delaunay': number[][], 'cells': VoronoiEdge[][]}} - The diagram made by
+   * {@link hyperbolic_voronoi}, whose site indices are indices into `nodes`.
+   */
+  getVoronoi() {
+    return Object.assign({ nodes: this.graph.nodes }, this.layoutVoronoi());
+  }
+
+  /**
+   * The Voronoi diagram of the layout positions of the nodes, kept until a node is added, removed or moved in the layout.
+   * @returns {{'edges': VoronoiEdge[], 'delaunay': number[][], 'cells': VoronoiEdge[][]}} - The diagram made by {@link hyperbolic_voronoi}.
+   */
+  layoutVoronoi() {
+    let nodes = this.graph.nodes;
+    let cached = this.voronoiCache;
+    let current = cached !== null && cached.nodes.length === nodes.length
+      && nodes.every((d, i) => cached.nodes[i] === d && cached.sites[i].x === d.disk.x && cached.sites[i].y === d.disk.y);
+    if (!current) {
+      let sites = nodes.map(d => ({ x: d.disk.x, y: d.disk.y }));
+      this.voronoiCache = { nodes: nodes.slice(), sites: sites, diagram: hyperbolic_voronoi(sites) };
+    }
+    return this.voronoiCache.diagram;
+  }
+
+  /**
+   * Gives the closed svg path of a polygon with geodesic sides in the current model.
+   * @param {{x: number, y: number}[]} vertices - Vertices of the polygon in poincare disk coordinates.
+   * @returns {string} - The svg path.
+   */
+  polygonPath(vertices) {
+    if (this.projection === 'hyperbolic') {
+      return geodesic_polygon_path(vertices, this.poindisk);
+    }
+    // Sides are sampled along the geodesic, in the Klein model they come out straight
+    let points = [];
+    for (let i = 0; i < vertices.length; i++) {
+      for (let j = 0; j < TILE_SIDE_SAMPLES; j++) {
+        points.push(this.project(geodesic_interpolate(vertices[i], vertices[(i + 1) % vertices.length], j / TILE_SIDE_SAMPLES)));
       }
+    }
+    return d3.line().x(c => c.x).y(c => c.y).curve(d3.curveLinearClosed)(points);
+  }
 
+  /**
+   * Projects a point of the Poincare disk onto the canvas with the current model.
+   * @param {{x: number, y: number}} p - A point in poincare disk coordinates.
+   * @returns {{x: number, y: number}} - Position in the canvas.
+   */
+  project(p) {
+    let poindisk = this.poindisk;
+    if (this.projection === 'klein') {
+      return disk_to_canvas(poincare_to_klein(p), poindisk);
+    }
+    else if (this.projection === 'halfplane') {
+      let w = poincare_to_halfplane(p);
+      return { x: poindisk.cx + w.x * poindisk.r, y: poindisk.cy + poindisk.r - w.y * poindisk.r };
+    }
+    else if (this.projection === 'hyperboloid') {
+      let h = poincare_to_hyperboloid(p);
+      // Tilt the sheet towards the viewer around the x axis, the apex sits below the canvas center
+      let up = h.y * Math.cos(HYPERBOLOID_TILT) + (h.z - 1) * Math.sin(HYPERBOLOID_TILT);
+      let scale = poindisk.r / Math.sinh(HYPERBOLOID_EXTENT);
+      if (this.hyperboloidCamera === 'perspective') {
+        let depth = (h.z - 1) * Math.cos(HYPERBOLOID_TILT) - h.y * Math.sin(HYPERBOLOID_TILT);
+        scale *= HYPERBOLOID_CAMERA_DISTANCE / (HYPERBOLOID_CAMERA_DISTANCE - depth);
+      }
+      return { x: poindisk.cx + h.x * scale, y: poindisk.cy + HYPERBOLOID_APEX_OFFSET * poindisk.r - up * scale };
+    }
+    return disk_to_canvas(p, poindisk);
+  }
 
+  /**
+   * Maps a canvas position back to the Poincare disk, the inverse of {@link project}.
+   * On the hyperboloid it is the point of the sheet nearest to the camera on the ray through the position, positions beside the
+   * sheet take the point of the sheet whose ray passes closest.
+   * @param {{x: number, y: number}} c - Position in the canvas.
+   * @returns {{x: number, y: number}} - A point in poincare disk coordinates.
+   */
+  unproject(c) {
+    let poindisk = this.poindisk;
+    let p = { x: (c.x - poindisk.cx) / poindisk.r, y: (poindisk.cy - c.y) / poindisk.r };
+    if (this.projection === 'klein') {
+      return klein_to_poincare(clamp_to_disk(p));
+    }
+    else if (this.projection === 'halfplane') {
+      return halfplane_to_poincare({ x: p.x, y: Math.max(p.y + 1, 1e-6) });
+    }
+    else if (this.projection === 'hyperboloid') {
+      let scale = poindisk.r / Math.sinh(HYPERBOLOID_EXTENT);
+      let u = (c.x - poindisk.cx) / scale;
+      let v = (poindisk.cy + HYPERBOLOID_APEX_OFFSET * poindisk.r - c.y) / scale;
+      // Points of the ray at depth t towards the camera, see project, have x, y and z linear in t: [value at 0, change per t]
+      let shrink = this.hyperboloidCamera === 'perspective' ? 1 / HYPERBOLOID_CAMERA_DISTANCE : 0;
+      let cos = Math.cos(HYPERBOLOID_TILT);
+      let sin = Math.sin(HYPERBOLOID_TILT);
+      let x = [u, -u * shrink];
+      let y = [v * cos, -v * shrink * cos - sin];
+      let z = [1 + v * sin, -v * shrink * sin + cos];
+      let at = t => ({ x: x[0] + x[1] * t, y: y[0] + y[1] * t, z: z[0] + z[1] * t });
+      // The ray meets the sheet z² - x² - y² = 1 where a t² + b t + c = 0
+      let a = z[1] * z[1] - x[1] * x[1] - y[1] * y[1];
+      let b = 2 * (z[0] * z[1] - x[0] * x[1] - y[0] * y[1]);
+      let c0 = z[0] * z[0] - x[0] * x[0] - y[0] * y[0] - 1;
+      let roots;
+      if (Math.abs(a) < 1e-12) {
+        roots = Math.abs(b) < 1e-12 ? [] : [-c0 / b];
+      }
+      else {
+        let root = Math.sqrt(Math.max(0, b * b - 4 * a * c0));
+        roots = [(-b + root) / (2 * a), (-b - root) / (2 * a)];
+      }
+      // The nearest point to the camera on the upper sheet, in front of it, is the one that is seen
+      let t = d3.max(roots.filter(t => at(t).z > 0 && t * shrink < 1));
+      if (t === undefined) {
+        return clamp_to_disk(p);
+      }
+      let h = at(t);
+      // Off the sheet the root only comes close, putting the point back on the sheet keeps it inside the disk
+      h.z = Math.sqrt(1 + h.x * h.x + h.y * h.y);
+      return hyperboloid_to_poincare(h);
+    }
+    return p;
+  }
+
+  /**
+   * The shape of a hyperbolic circle in the current model.
+   * It is exact in the Poincare disk and the half-plane, the other models draw the circle that best fits it.
+   * @param {{x: number, y: number}} p - Center in poincare disk coordinates.
+   * @param {number} r - Hyperbolic radius of the circle.
+   * @returns {{cx: number, cy: number, r: number}} - Circle in the canvas.
+   */
+  projectCircle(p, r) {
+    let poindisk = this.poindisk;
+    if (this.projection === 'hyperbolic') {
+      return poincare_circle(p, r, poindisk);
+    }
+    else if (this.projection === 'halfplane') {
+      let w = poincare_to_halfplane(p);
+      let center = { x: poindisk.cx + w.x * poindisk.r, y: poindisk.cy + poindisk.r - w.y * Math.cosh(r) * poindisk.r };
+      return { cx: center.x, cy: center.y, r: w.y * Math.sinh(r) * poindisk.r };
+    }
+    // Sample the circle around the origin and move it onto p
+    let back = mobius_inverse(mobius_translation(p));
+    let rim = d3.range(CIRCLE_FIT_SAMPLES)
+      .map(i => this.project(mobius_apply(back, polar_to_cart(r_poincare_to_euclid(r), 2 * Math.PI * i / CIRCLE_FIT_SAMPLES))));
+    let cx = d3.mean(rim, c => c.x);
+    let cy = d3.mean(rim, c => c.y);
+    return { cx: cx, cy: cy, r: d3.mean(rim, c => Math.hypot(c.x - cx, c.y - cy)) };
+  }
 
+  /**
+   * Drawn radius of a hyperbolic circle in pixels, for deciding what to cull. Where {@link projectCircle} fits the circle to samples,
+   * this takes one sample along the radius of the disk and one across it, the models squeeze circles in these two directions.
+   * @param {{x: number, y: number}} p - Center of the circle in poincare disk coordinates.
+   * @param {number} r - Hyperbolic radius of the circle.
+   * @returns {number} - The radius in pixels.
+   */
+  projectedRadius(p, r) {
+    if (this.projection === 'hyperbolic' || this.projection === 'halfplane') {
+      return this.projectCircle(p, r).r;
     }
+    let back = mobius_inverse(mobius_translation(p));
+    let center = this.project(p);
+    let angle = Math.atan2(p.y, p.x);
+    return d3.mean([angle, angle + Math.PI / 2], a => {
+      let c = this.project(mobius_apply(back, polar_to_cart(r_poincare_to_euclid(r), a)));
+      return Math.hypot(c.x - center.x, c.y - center.y);
+    });
+  }
+
+  /**
+   * SVG path of the geodesic segment between two points in the current model.
+   * @param {{x: number, y: number}} p - Startpoint in poincare disk coordinates.
+   * @param {{x: number, y: number}} q - Endpoint in poincare disk coordinates.
+   * @returns {string} - The path string.
+   */
+  geodesicPath(p, q) {
+    let poindisk = this.poindisk;
+    if (this.projection === 'hyperbolic') {
+      return arc_path(poincare_geodesic(disk_to_canvas(p, poindisk), disk_to_canvas(q, poindisk), poindisk), poindisk);
+    }
+    else if (this.projection === 'klein') {
+      // Geodesics are straight chords
+      let a = this.project(p);
+      let b = this.project(q);
+      return ["M", a.x, a.y, "L", b.x, b.y].join(" ");
+    }
+    else if (this.projection === 'halfplane') {
+      // Geodesics are vertical lines or semicircles centered on the real axis
+      let v = poincare_to_halfplane(p);
+      let w = poincare_to_halfplane(q);
+      let a = this.project(p);
+      let b = this.project(q);
+      if (Math.abs(v.x - w.x) < 1e-9 * (1 + Math.abs(v.x))) {
+        return ["M", a.x, a.y, "L", b.x, b.y].join(" ");
+      }
+      let center = (w.x * w.x + w.y * w.y - v.x * v.x - v.y * v.y) / (2 * (w.x - v.x));
+      let radius = Math.hypot(v.x - center, v.y) * poindisk.r;
+      return ["M", a.x, a.y, "A", radius, radius, 0, 0, v.x < w.x ? 1 : 0, b.x, b.y].join(" ");
+    }
+    // On the hyperboloid the geodesic is a branch of a hyperbola, drawn through sampled points
+    let samples = d3.range(HYPERBOLOID_GEODESIC_SAMPLES + 1)
+      .map(i => this.project(geodesic_interpolate(p, q, i / HYPERBOLOID_GEODESIC_SAMPLES)));
+    return d3.line().x(c => c.x).y(c => c.y)(samples);
+  }
+
+  /**
+   * Runs the hyperbolic force directed layout ({@link hyperbolic_force_tick}) from the current `disk` positions,
+   * redrawing the graph after every iteration until the simulation cools down.
+   * @returns `this` instance of d3Hyperbolic.
+   */
+  startHyperbolicForce() {
+    let alpha = 1;
+    if (this.layoutTimer) {
+      this.layoutTimer.stop();
+    }
+    this.layoutTimer = d3.timer(() => {
+      hyperbolic_force_tick(this.graph.nodes, this.graph.edges, alpha, this.forceOptions);
+      // Every node moved, the index is built again when it is next asked
+      this.index = null;
+      this.redraw();
+      alpha *= 1 - HYPERBOLIC_FORCE_ALPHA_DECAY;
+      if (alpha < HYPERBOLIC_FORCE_ALPHA_MIN) {
+        this.layoutTimer.stop();
+        this.layoutTimer = null;
+        this.dispatch.call('layoutend', this, { nodes: this.graph.nodes, edges: this.graph.edges });
+      }
+    });
+    return this;
+  }
+
+  /**
+   * The point of the layout that is currently shown at the center of the disk.
+   * @returns {{x: number, y: number}} - The focus in poincare disk coordinates.
+   */
+  getFocus() {
+    return mobius_apply(mobius_inverse(this.view), { x: 0, y: 0 });
+  }
+
+  /**
+   * Animates the view so that a node glides to the center of the disk along the hyperbolic geodesic.
+   * @example hyperbolicSys.focusOn(42, { duration: 1000 });
+   * @param {string|number} nodeId - The id of the node to bring to the center.
+   * @param {{duration: number}} options - Length of the animation in milliseconds, 0 jumps to the node.
+   * @returns `this` instance of d3Hyperbolic.
+   */
+  focusOn(nodeId, options = {}) {
+    let duration = options.duration === undefined ? 750 : options.duration;
+    let vertex = this.graph.nodes.find(d => String(d.id) === String(nodeId));
+    if (vertex === undefined || vertex.disk === undefined) {
+      return this;
+    }
+
+    if (this.focusTimer) {
+      this.focusTimer.stop();
+    }
+    let origin = { x: 0, y: 0 };
+    let startView = this.view;
+    // Where the node is shown now, the camera travels from the disk center to this point
+    let target = mobius_apply(startView, vertex.disk);
+
+    let step = t => {
+      let camera = geodesic_interpolate(origin, target, d3.easeCubicInOut(t));
+      this.view = mobius_compose(mobius_translation(camera), startView);
+      this.redraw();
+    };
+
+    let arrived = () => this.dispatch.call('focuschange', this, { focus: this.getFocus(), node: vertex, event: null });
+
+    if (duration <= 0) {
+      step(1);
+      arrived();
+      return this;
+    }
+    this.focusTimer = d3.timer(elapsed => {
+      let t = Math.min(1, elapsed / duration);
+      step(t);
+      if (t === 1) {
+        this.focusTimer.stop();
+        this.focusTimer = null;
+        arrived();
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Highlights a node with its neighbors and the edges between them, dimming the rest of the graph.
+   * Hovering a node does this while the `highlightNeighbors` parameter is on.
+   * @param {Object|null} vertex - The node to highlight, null shows the whole graph again.
+   * @returns `this` instance of d3Hyperbolic.
+   */
+  highlightNode(vertex) {
+    if (vertex === null) {
+      this.highlighted = null;
+      this.nodeSelection.style('opacity', null);
+      this.linkSelection.style('opacity', null);
+      if (this.canvas) {
+        this.requestCanvasDraw();
+      }
+      return this;
+    }
+    let near = new Set([vertex]);
+    for (const edge of this.graph.edges) {
+      if (edge.source === vertex) {
+        near.add(edge.target);
+      }
+      else if (edge.target === vertex) {
+        near.add(edge.source);
+      }
+    }
+    this.highlighted = { node: vertex, near: near };
+    if (this.canvas) {
+      this.requestCanvasDraw();
+    }
+    this.nodeSelection.style('opacity', d => near.has(d) ? 1 : HIGHLIGHT_DIM_OPACITY);
+    this.linkSelection.style('opacity', d => d.source === vertex || d.target === vertex ? 1 : HIGHLIGHT_DIM_OPACITY);
     return this;
   }
 
@@ -375,6 +1976,15 @@ class d3Hyperbolic {
     if (this.selectedElement) {
       this.selectedElement.innerHTML = '';
     }
+    if (this.focusTimer) {
+      this.focusTimer.stop();
+      this.focusTimer = null;
+    }
+    if (this.layoutTimer) {
+      this.layoutTimer.stop();
+      this.layoutTimer = null;
+    }
+    this.view = null;
 
     return this;
   }
@@ -3,34 +3,258 @@
  */
 /**
  * This module is a collection of random graph generative algorithms.
+ * Every generator takes an optional `random` function returning numbers in [0, 1), like Math.random.
+ * Pass one made by {@link seeded_random} to get the same graph on every run.
  * @module graph_generators
  */
 
+/**
+ * Creates a seeded pseudo random number generator (mulberry32).
+ * @example let graph = barabasi_albert(100, 2, seeded_random(42));
+ * @param {number} seed - Any integer, the same seed gives the same sequence.
+ * @returns {function(): number} - A function returning numbers in [0, 1).
+ */
+let seeded_random = function(seed) {
+  let state = seed >>> 0;
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+}
+
+/**
+ * Creates a node with a random position in the canvas and a random color.
+ * @param {number} id - The id of the node.
+ * @param {function(): number} random - The random number generator.
+ * @returns NodeObject - The node.
+ */
+let random_node = function(id, random, x_width=1000, y_width=1000) {
+  return {
+    id: id,
+    x: random() * Math.round(x_width),
+    y: random() * Math.round(y_width),
+    color: '#' + Math.floor(random()*16777215).toString(16).padStart(6, '0')
+  }
+}
+
 /**
  * Generates an undirected graph on n nodes, with each edge having probability p to appear
  * @param {number} n - The number of nodes.
- * @param {number} p - The probability of two nodes being connected. Can be imagined as the density parameter of the graph. 
+ * @param {number} p - The probability of two nodes being connected. Can be imagined as the density parameter of the graph.
+ * @param {function(): number} random - The random number generator.
  * @returns Graph - The graph created randomly.
  */
-let erdos_renyi = function(n,p, x_width=1000, y_width=1000) {
+let erdos_renyi = function(n,p, x_width=1000, y_width=1000, random=Math.random) {
   let nodes = new Array(n);
   for (let i = 0; i < n; i ++){
-    nodes[i] = {
-      id: i,
-      x: Math.random() * Math.round(x_width),
-      y: Math.random() * Math.round(y_width),
-      color: '#' + Math.floor(Math.random()*16777215).toString(16)
-
-    }
+    nodes[i] = random_node(i, random, x_width, y_width)
   }
   let edges = [];
   for (let i = 0; i < n; i ++){
     for (let j = 0; j<i; j++){
-      if (Math.random() < p){
+      if (random() < p){
         edges.push({'source': i, 'target': j})
       }
     }
   }
 
  return {'nodes': nodes, 'edges': edges}
-}
\ No newline at end of file
+}
+
+/**
+ * Generates a scale-free graph with Barabási–Albert preferential attachment.
+ * Every new node connects to m existing nodes, picked with probability proportional to their degree.
+ * @param {number} n - The number of nodes.
+ * @param {number} m - The number of edges added with every node.
+ * @param {function(): number} random - The random number generator.
+ * @returns Graph - The graph created randomly.
+ */
+let barabasi_albert = function(n, m, random=Math.random) {
+  let nodes = new Array(n);
+  for (let i = 0; i < n; i ++){
+    nodes[i] = random_node(i, random)
+  }
+  let edges = [];
+  // Every edge end is listed once, so sampling from the list follows the degrees
+  let ends = [];
+  let targets = [];
+  for (let i = 0; i < Math.min(m, n); i ++){
+    targets.push(i)
+  }
+  for (let i = m; i < n; i ++){
+    for (const target of targets){
+      edges.push({'source': i, 'target': target})
+      ends.push(i, target)
+    }
+    let picked = new Set();
+    while (picked.size < m){
+      picked.add(ends[Math.floor(random() * ends.length)])
+    }
+    targets = Array.from(picked);
+  }
+
+  return {'nodes': nodes, 'edges': edges}
+}
+
+/**
+ * Generates a Watts–Strogatz small-world graph: a ring where every node is connected to its k nearest neighbors,
+ * with every edge rewired to a random node with probability beta.
+ * @param {number} n - The number of nodes.
+ * @param {number} k - The number of neighbors of every node in the ring, an even number.
+ * @param {number} beta - The probability of rewiring an edge.
+ * @param {function(): number} random - The random number generator.
+ * @returns Graph - The graph created randomly.
+ * @throws {Error} When k is odd, the ring links as many neighbors on both sides.
+ */
+let watts_strogatz = function(n, k, beta, random=Math.random) {
+  if (k % 2 !== 0){
+    throw new Error('k must be even, got ' + k);
+  }
+  let nodes = new Array(n);
+  for (let i = 0; i < n; i ++){
+    nodes[i] = random_node(i, random)
+  }
+  let key = (i, j) => Math.min(i, j) + '-' + Math.max(i, j);
+  let present = new Set();
+  let edges = [];
+  let degree = new Array(n).fill(0);
+  for (let i = 0; i < n; i ++){
+    for (let j = 1; j <= k / 2; j ++){
+      let edge = {'source': i, 'target': (i + j) % n};
+      if (!present.has(key(edge.source, edge.target))){
+        present.add(key(edge.source, edge.target))
+        edges.push(edge)
+        degree[edge.source] ++;
+        degree[edge.target] ++;
+      }
+    }
+  }
+  for (const edge of edges){
+    if (random() >= beta){
+      continue;
+    }
+    // A node linked to every other node has nowhere to rewire to
+    if (degree[edge.source] >= n - 1){
+      continue;
+    }
+    let target;
+    do {
+      target = Math.floor(random() * n);
+    } while (target === edge.source || present.has(key(edge.source, target)))
+    present.delete(key(edge.source, edge.target))
+    present.add(key(edge.source, target))
+    degree[edge.target] --;
+    degree[target] ++;
+    edge.target = target;
+  }
+
+  return {'nodes': nodes, 'edges': edges}
+}
+
+/**
+ * Generates a balanced tree, where every node above the given depth has the same number of children.
+ * The root is node 0 and every node has its `depth`.
+ * @param {number} branching - The number of children of every inner node.
+ * @param {number} depth - The depth of the leaves.
+ * @param {function(): number} random - The random number generator, used for positions and colors.
+ * @returns Graph - The tree.
+ */
+let balanced_tree = function(branching, depth, random=Math.random) {
+  let nodes = [random_node(0, random)];
+  nodes[0].depth = 0;
+  let edges = [];
+  for (let i = 0; i < nodes.length; i ++){
+    if (nodes[i].depth === depth){
+      continue;
+    }
+    for (let j = 0; j < branching; j ++){
+      let child = random_node(nodes.length, random);
+      child.depth = nodes[i].depth + 1;
+      edges.push({'source': i, 'target': child.id})
+      nodes.push(child)
+    }
+  }
+
+  return {'nodes': nodes, 'edges': edges}
+}
+
+/**
+ * Generates a random tree by attaching every new node to a random earlier node that has room for another child.
+ * The root is node 0 and every node has its `depth`.
+ * @param {number} n - The number of nodes.
+ * @param {number} branching - The largest number of children of a node.
+ * @param {function(): number} random - The random number generator.
+ * @returns Graph - The tree.
+ */
+let random_tree = function(n, branching=3, random=Math.random) {
+  let nodes = [];
+  let edges = [];
+  // Nodes that can still take a child
+  let open = [];
+  let children = [];
+  for (let i = 0; i < n; i ++){
+    let node = random_node(i, random);
+    node.depth = 0;
+    if (i > 0){
+      let index = Math.floor(random() * open.length);
+      let parent = open[index];
+      node.depth = nodes[parent].depth + 1;
+      edges.push({'source': parent, 'target': i})
+      children[parent] ++;
+      if (children[parent] >= branching){
+        open.splice(index, 1)
+      }
+    }
+    nodes.push(node)
+    children.push(0)
+    open.push(i)
+  }
+
+  return {'nodes': nodes, 'edges': edges}
+}
+
+/**
+ * Generates a hyperbolic random graph (Krioukov et al.).
+ * Nodes are scattered in a hyperbolic disk of radius R with a radial density growing like sinh(alpha*r), and two nodes are connected
+ * when they are closer than R. With a temperature above 0 the connection is a coin flip that gets likelier the closer they are.
+ * R is picked from the usual estimate of the average degree, finite graphs come out a little sparser. Every node gets its polar hyperbolic coordinates `r` and `theta`
+ * and its position in the poincare disk as `disk`, which d3Hyperbolic draws as it is.
+ * @param {number} n - The number of nodes.
+ * @param {number} averageDegree - The expected average degree.
+ * @param {number} alpha - The radial dispersion, above 0.5. Smaller values give heavier tailed degrees.
+ * @param {number} temperature - 0 for the threshold model, up to 1 for more random connections.
+ * @param {function(): number} random - The random number generator.
+ * @returns Graph - The graph created randomly.
+ */
+let hyperbolic_random_graph = function(n, averageDegree=6, alpha=0.75, temperature=0, random=Math.random) {
+  let xi = alpha / (alpha - 0.5);
+  let R = 2 * Math.log(2 * xi * xi * n / (Math.PI * averageDegree));
+  let nodes = new Array(n);
+  for (let i = 0; i < n; i ++){
+    nodes[i] = random_node(i, random)
+    // Inverse of the radial distribution function
+    let r = Math.acosh(1 + (Math.cosh(alpha * R) - 1) * random()) / alpha;
+    let theta = random() * 2 * Math.PI;
+    nodes[i].r = r;
+    nodes[i].theta = theta;
+    nodes[i].disk = polar_to_cart(Math.tanh(r / 2), theta);
+  }
+  let edges = [];
+  for (let i = 0; i < n; i ++){
+    for (let j = 0; j < i; j ++){
+      let a = nodes[i];
+      let b = nodes[j];
+      let coshDistance = Math.cosh(a.r) * Math.cosh(b.r) - Math.sinh(a.r) * Math.sinh(b.r) * Math.cos(a.theta - b.theta);
+      let distance = Math.acosh(Math.max(1, coshDistance));
+      let connected = temperature === 0 ? distance < R : random() < 1 / (1 + Math.exp((distance - R) / (2 * temperature)));
+      if (connected){
+        edges.push({'source': i, 'target': j})
+      }
+    }
+  }
+
+  return {'nodes': nodes, 'edges': edges}
+}
@@ -112,18 +112,35 @@ function euclid_dist(p,q){
   return Math.sqrt(Math.pow(p.x-q.x,2) + Math.pow(p.y-q.y,2));
 }
 
+/**
+ * Euclidean distance from a point to a line segment.
+ * @param {NodeObject} p - A point with defined 'x' and 'y'
+ * @param {NodeObject} a - Startpoint of the segment
+ * @param {NodeObject} b - Endpoint of the segment
+ * @returns {number}  - Distance from p to the closest point of the segment
+ */
+function point_segment_distance(p,a,b){
+  let length2 = Math.pow(b.x-a.x,2) + Math.pow(b.y-a.y,2);
+  if (length2 === 0){
+    return euclid_dist(p,a);
+  }
+  let t = Math.max(0, Math.min(1, ((p.x-a.x)*(b.x-a.x) + (p.y-a.y)*(b.y-a.y)) / length2));
+  return euclid_dist(p, {'x': a.x + t*(b.x-a.x), 'y': a.y + t*(b.y-a.y)});
+}
+
 /**
  * Hyperbolic Distance.
+ * Computed as 2*atanh(|p-q| / |1-conj(p)q|), the distance from the origin after moving p there. This agrees with
+ * acosh(1 + 2|p-q|²/((1-|p|²)(1-|q|²))) but keeps its precision for close points and near the boundary.
  * @param {NodeObject} p - A point with defined 'x' and 'y'
  * @param {NodeObject} q - A point with defined 'x' and 'y'
  * @returns {number}  - Hyperbolic distance between p and q
  */
 function hyper_dist(p,q){
-  let pow = Math.pow;
-  let numerator = 2*(pow(p.x-q.x,2)+pow(p.y-q.y,2));
-  let denominator = ((1- pow(p.x,2) + pow(p.y,2)) * (1- pow(q.x,2) + pow(q.y,2)));
-
-  return Math.acosh(1 + (numerator/denominator));
+  let numerator = Math.hypot(p.x - q.x, p.y - q.y);
+  //1 - conj(p)q
+  let denominator = Math.hypot(1 - (p.x*q.x + p.y*q.y), p.x*q.y - p.y*q.x);
+  return 2*Math.atanh(Math.min(numerator/denominator, 1));
 }
 
 /**
@@ -219,6 +236,7 @@ function circle_inversion(p,circle){
 //
 /**
  * Hyperbolic geodesic between two points in Poincare disk
+ * Geodesics through the center of the disk are diameters, their arc has no center 'c' and an infinite radius.
  * @param {NodeObject} p - startpoint
  * @param {NodeObject} q - endpoint
  * @param {PoinDisk} poindisk - Poindisk object
@@ -237,6 +255,11 @@ function poincare_geodesic(p,q, poindisk){
   p = {'x': p.x-left, 'y': p.y-top}
   q = {'x': q.x-left, 'y': q.y-top}
 
+  //The perpendicular lines below are parallel for a diameter, which is drawn straight instead
+  let cross = (p.x - poindisk.cx) * (q.y - poindisk.cy) - (p.y - poindisk.cy) * (q.x - poindisk.cx);
+  if (Math.abs(cross) < 1e-9 * poindisk.r * poindisk.r){
+    return {'p1': p, 'p2': q, 'c': null, 'startAngle': 0, 'endAngle': 0, 'r': Infinity};
+  }
 
   let pp = circle_inversion(p,poindisk);
   let qq = circle_inversion(q,poindisk);
@@ -263,6 +286,9 @@ function arc_path(arc, poindisk){
   //return a canvas/svg path for it.
   //Edge case handling comes from: https://stackoverflow.com/questions/5736398/how-to-calculate-the-svg-path-for-an-arc-of-a-circle
 
+  if (arc.c === null){
+    return ["M", arc.p1.x, arc.p1.y, "L", arc.p2.x, arc.p2.y].join(" ");
+  }
   //let x = arc.c.x;
   //let y = arc.c.y;
   let radius = arc.r;
@@ -284,6 +310,193 @@ function arc_path(arc, poindisk){
 
 }
 
+/**
+ * The circle carrying the geodesic through p and q, orthogonal to the unit circle.
+ * Its center c solves c·p = (|p|²+1)/2 and c·q = (|q|²+1)/2, as the circle passes through p, q and their inversions.
+ * @param {NodeObject} p - A point inside the unit disk
+ * @param {NodeObject} q - A point inside the unit disk
+ * @returns {?{'cx': number, 'cy': number, 'r': number}}  - The circle in poincare disk coordinates, null when the geodesic is a diameter
+ */
+function geodesic_circle(p,q){
+  let det = p.x * q.y - p.y * q.x;
+  if (Math.abs(det) < 1e-9){
+    return null;
+  }
+  let a = (p.x * p.x + p.y * p.y + 1) / 2;
+  let b = (q.x * q.x + q.y * q.y + 1) / 2;
+  let cx = (a * q.y - b * p.y) / det;
+  let cy = (p.x * b - q.x * a) / det;
+  return {'cx': cx, 'cy': cy, 'r': Math.sqrt(cx * cx + cy * cy - 1)};
+}
+
+/**
+ * Reflects a point across the geodesic through p and q, an inversion in its circle or a mirror across a diameter.
+ * @param {NodeObject} z - The point to reflect
+ * @param {NodeObject} p - A point of the geodesic
+ * @param {NodeObject} q - Another point of the geodesic
+ * @returns {{'x': number, 'y': number}}  - Reflected point
+ */
+function geodesic_reflection(z,p,q){
+  let circle = geodesic_circle(p, q);
+  if (circle !== null){
+    return circle_inversion(z, circle);
+  }
+  let u = Math.hypot(p.x, p.y) > Math.hypot(q.x, q.y) ? p : q;
+  let length = Math.hypot(u.x, u.y);
+  let dot = (z.x * u.x + z.y * u.y) / (length * length);
+  return {'x': 2 * dot * u.x - z.x, 'y': 2 * dot * u.y - z.y};
+}
+
+/**
+ * Closed svg path of a polygon whose sides are geodesic arcs, which can be filled.
+ * @param {NodeObject[]} points - Vertices of the polygon in poincare disk coordinates, in order
+ * @param {PoinDisk} poindisk - Poindisk object
+ * @returns {string}  - The svg path in canvas coordinates
+ */
+function geodesic_polygon_path(points, poindisk){
+  let start = disk_to_canvas(points[0], poindisk);
+  let path = ["M", start.x, start.y];
+  for (let i = 0; i < points.length; i++){
+    path.push(...geodesic_path_to(points[i], points[(i + 1) % points.length], poindisk));
+  }
+  path.push("Z");
+  return path.join(" ");
+}
+
+/**
+ * Svg path of the geodesic from p to q. Unlike {@link poincare_geodesic} the points are in disk coordinates and can be
+ * ideal points on the boundary, e.g. the ends from {@link geodesic_ideal_points}.
+ * @param {NodeObject} p - Startpoint in poincare disk coordinates
+ * @param {NodeObject} q - Endpoint in poincare disk coordinates
+ * @param {PoinDisk} poindisk - Poindisk object
+ * @returns {string}  - The svg path in canvas coordinates
+ */
+function geodesic_arc_path(p, q, poindisk){
+  let start = disk_to_canvas(p, poindisk);
+  return ["M", start.x, start.y].concat(geodesic_path_to(p, q, poindisk)).join(" ");
+}
+
+/**
+ * Svg path command continuing a path along the geodesic from p to q.
+ * @param {NodeObject} p - Startpoint in poincare disk coordinates, where the path already is
+ * @param {NodeObject} q - Endpoint in poincare disk coordinates
+ * @param {PoinDisk} poindisk - Poindisk object
+ * @returns {Array<string|number>}  - An arc or line command
+ */
+function geodesic_path_to(p, q, poindisk){
+  let end = disk_to_canvas(q, poindisk);
+  let circle = geodesic_circle(p, q);
+  if (circle === null){
+    return ["L", end.x, end.y];
+  }
+  //The arc inside the disk is always the short one, it turns the way p turns into q around the center on screen
+  let a = disk_to_canvas(p, poindisk);
+  let c = disk_to_canvas({'x': circle.cx, 'y': circle.cy}, poindisk);
+  let cross = (a.x - c.x) * (end.y - c.y) - (a.y - c.y) * (end.x - c.x);
+  let radius = circle.r * poindisk.r;
+  return ["A", radius, radius, 0, 0, cross > 0 ? 1 : 0, end.x, end.y];
+}
+
+/**
+ * The two ideal points on the boundary where the complete geodesic through p and q ends.
+ * A geodesic circle crosses the unit circle at right angles, so its ends are seen from the origin at ±atan(r) from its center.
+ * @param {NodeObject} p - A point inside the unit disk
+ * @param {NodeObject} q - Another point inside the unit disk
+ * @returns {NodeObject[]}  - The end beyond p and the end beyond q, on the unit circle
+ */
+function geodesic_ideal_points(p, q){
+  let ends;
+  let circle = geodesic_circle(p, q);
+  if (circle === null){
+    let theta = Math.atan2(q.y - p.y, q.x - p.x);
+    ends = [polar_to_cart(1, theta + Math.PI), polar_to_cart(1, theta)];
+  }
+  else {
+    let theta = Math.atan2(circle.cy, circle.cx);
+    let spread = Math.atan(circle.r);
+    ends = [polar_to_cart(1, theta - spread), polar_to_cart(1, theta + spread)];
+    //Along the arc the chord from an end grows steadily, so the end beyond p is nearer to p than to q
+    if (euclid_dist(ends[0], p) > euclid_dist(ends[0], q)){
+      ends.reverse();
+    }
+  }
+  return ends;
+}
+
+
+/**
+ * The Euclidean circle through three points.
+ * @param {NodeObject} a - A point with defined 'x' and 'y'
+ * @param {NodeObject} b - A point with defined 'x' and 'y'
+ * @param {NodeObject} c - A point with defined 'x' and 'y'
+ * @returns {?{'cx': number, 'cy': number, 'r': number}}  - The circle, null when the points are collinear
+ */
+function circumcircle(a, b, c){
+  let d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+  let scale = Math.max(euclid_dist(a, b), euclid_dist(b, c), euclid_dist(a, c));
+  if (Math.abs(d) < 1e-9 * scale * scale){
+    return null;
+  }
+  let na = a.x * a.x + a.y * a.y;
+  let nb = b.x * b.x + b.y * b.y;
+  let nc = c.x * c.x + c.y * c.y;
+  let cx = (na * (b.y - c.y) + nb * (c.y - a.y) + nc * (a.y - b.y)) / d;
+  let cy = (na * (c.x - b.x) + nb * (a.x - c.x) + nc * (b.x - a.x)) / d;
+  return {'cx': cx, 'cy': cy, 'r': Math.hypot(a.x - cx, a.y - cy)};
+}
+
+/**
+ * Svg path through three points along the circle they lie on, or a straight line when they are collinear.
+ * @param {NodeObject} a - Startpoint in canvas coordinates
+ * @param {NodeObject} m - A point between them in canvas coordinates
+ * @param {NodeObject} b - Endpoint in canvas coordinates
+ * @returns {string}  - The svg path
+ */
+function three_point_arc_path(a, m, b){
+  let circle = circumcircle(a, m, b);
+  if (circle === null){
+    return ["M", a.x, a.y, "L", b.x, b.y].join(" ");
+  }
+  let c = {'x': circle.cx, 'y': circle.cy};
+  let radius = circle.r;
+  let cross = (m.x - a.x) * (b.y - m.y) - (m.y - a.y) * (b.x - m.x);
+  //Turning clockwise on screen from a through m sweeps the positive way. The arc is the long one when m and the center are on the same side of ab
+  let side = (x) => (b.x - a.x) * (x.y - a.y) - (b.y - a.y) * (x.x - a.x);
+  let large = side(m) * side(c) > 0 ? 1 : 0;
+  return ["M", a.x, a.y, "A", radius, radius, 0, large, cross > 0 ? 1 : 0, b.x, b.y].join(" ");
+}
+
+/**
+ * The horocycle tangent to the boundary at an ideal point u and passing through p, a circle inside the disk touching the boundary at u.
+ * Its center is (1-ρ)u for the radius ρ = |p-u|²/(2(1-p·u)).
+ * @param {NodeObject} u - An ideal point on the unit circle
+ * @param {NodeObject} p - A point inside the unit disk
+ * @returns {{'cx': number, 'cy': number, 'r': number}}  - The Euclidean circle in poincare disk coordinates
+ */
+function horocycle(u, p){
+  let r = (Math.pow(p.x - u.x, 2) + Math.pow(p.y - u.y, 2)) / (2 * (1 - p.x * u.x - p.y * u.y));
+  return {'cx': (1 - r) * u.x, 'cy': (1 - r) * u.y, 'r': r};
+}
+
+/**
+ * The hypercycle (equidistant curve) at a hyperbolic distance from the complete geodesic through p and q.
+ * It has a branch on each side of the geodesic, both are circular arcs ending at the geodesic's ideal points.
+ * @param {NodeObject} p - A point inside the unit disk
+ * @param {NodeObject} q - Another point inside the unit disk
+ * @param {number} distance - Hyperbolic distance from the geodesic
+ * @returns {{'ends': NodeObject[], 'through': NodeObject[]}}  - The two ideal points and a point of each branch, in poincare disk coordinates
+ */
+function hypercycle(p, q, distance){
+  let m = geodesic_interpolate(p, q, 0.5);
+  let tangent = hyperbolic_log(m, q);
+  let length = Math.hypot(tangent.x, tangent.y);
+  //The model is conformal, so the normal of the geodesic is the tangent turned by a right angle
+  let normal = {'x': -tangent.y * distance / length, 'y': tangent.x * distance / length};
+  return {
+    'ends': geodesic_ideal_points(p, q),
+    'through': [hyperbolic_exp(m, normal), hyperbolic_exp(m, {'x': -normal.x, 'y': -normal.y})]
+  };
+}
 
 //Circle functions--------------------------------------------------------------
 /**
@@ -293,8 +506,6 @@ function arc_path(arc, poindisk){
  * @param {NodeObject} q - PoinDisk
  * @returns {{'cx': number, 'cy': number, 'r': number}}  - Circle with the projected cx, cy, and r
  */
-
-//TODO: Allow for a circle given two/three points
 function poincare_circle(center,r, poindisk){
   //Return a circle in the poincare disk with center center and hyperbolic radius r
   //Math is done in terms of the Poincare disk
@@ -317,3 +528,406 @@ function poincare_circle(center,r, poindisk){
   return {'cx':canvas_coord.x, 'cy': canvas_coord.y, 'r': er*(poindisk.r),'px': x, 'py': y,  'center': {'x': x, 'y':y},
           'hcenter': disk_to_canvas(center,poindisk)}
 }
+
+
+/**
+ * Hyperbolic center and radius of the circle through three points.
+ * Hyperbolic circles are the Euclidean circles inside the disk, their hyperbolic center lies on the diameter through the Euclidean one,
+ * halfway in hyperbolic distance between the circle's nearest and farthest points from the origin.
+ * @param {NodeObject} a - A point inside the unit disk
+ * @param {NodeObject} b - A point inside the unit disk
+ * @param {NodeObject} c - A point inside the unit disk
+ * @returns {?{'center': NodeObject, 'radius': number}}  - The circle for {@link poincare_circle}, null when the points lie on a geodesic, horocycle or hypercycle instead
+ */
+function circle_through_points(a, b, c){
+  let circle = circumcircle(a, b, c);
+  if (circle === null){
+    return null;
+  }
+  let distance = Math.hypot(circle.cx, circle.cy);
+  if (distance + circle.r >= 1){
+    return null;
+  }
+  let near = hyper_radius_from_euclidean(distance - circle.r);
+  let far = hyper_radius_from_euclidean(distance + circle.r);
+  let theta = Math.atan2(circle.cy, circle.cx);
+  return {'center': polar_to_cart(r_poincare_to_euclid((near + far) / 2), theta), 'radius': (far - near) / 2};
+}
+
+//Mobius functions--------------------------------------------------------------
+//Points of the disk are treated as complex numbers: 'x' is the real part and 'y' the imaginary part.
+//A disk automorphism is stored as {'a', 'b'} and acts as z -> (a*z + b) / (conj(b)*z + conj(a)).
+
+/**
+ * Product of two complex numbers
+ * @param {NodeObject} p - A point with defined 'x' and 'y'
+ * @param {NodeObject} q - A point with defined 'x' and 'y'
+ * @returns {{'x': number, 'y': number}}  - p*q
+ */
+function complex_mul(p,q){
+  return {'x': p.x*q.x - p.y*q.y, 'y': p.x*q.y + p.y*q.x};
+}
+
+/**
+ * Quotient of two complex numbers
+ * @param {NodeObject} p - A point with defined 'x' and 'y'
+ * @param {NodeObject} q - A point with defined 'x' and 'y'
+ * @returns {{'x': number, 'y': number}}  - p/q
+ */
+function complex_div(p,q){
+  let denominator = q.x*q.x + q.y*q.y;
+  return {'x': (p.x*q.x + p.y*q.y) / denominator, 'y': (p.y*q.x - p.x*q.y) / denominator};
+}
+
+/**
+ * Complex conjugate
+ * @param {NodeObject} p - A point with defined 'x' and 'y'
+ * @returns {{'x': number, 'y': number}}  - Conjugate of p
+ */
+function complex_conj(p){
+  return {'x': p.x, 'y': -p.y};
+}
+
+/**
+ * Disk automorphism z -> (z - a)/(1 - conj(a)z), which moves a to the origin
+ * @param {NodeObject} a - A point inside the unit disk
+ * @returns {MobiusObject}  - Mobius transformation with defined 'a' and 'b'
+ */
+function mobius_translation(a){
+  return {'a': {'x': 1, 'y': 0}, 'b': {'x': -a.x, 'y': -a.y}};
+}
+
+/**
+ * Disk automorphism z -> e^(i*theta) z
+ * @param {number} theta - Rotation angle around the origin
+ * @returns {MobiusObject}  - Mobius transformation with defined 'a' and 'b'
+ */
+function mobius_rotation(theta){
+  return {'a': {'x': Math.cos(theta/2), 'y': Math.sin(theta/2)}, 'b': {'x': 0, 'y': 0}};
+}
+
+/**
+ * Applies a Mobius transformation to a point
+ * @param {MobiusObject} m - Mobius transformation with defined 'a' and 'b'
+ * @param {NodeObject} z - A point with defined 'x' and 'y'
+ * @returns {{'x': number, 'y': number}}  - m(z)
+ */
+function mobius_apply(m,z){
+  let numerator = complex_mul(m.a, z);
+  numerator.x += m.b.x;
+  numerator.y += m.b.y;
+  let denominator = complex_mul(complex_conj(m.b), z);
+  denominator.x += m.a.x;
+  denominator.y -= m.a.y;
+  return complex_div(numerator, denominator);
+}
+
+/**
+ * Composition of two Mobius transformations
+ * @param {MobiusObject} m - Transformation applied last
+ * @param {MobiusObject} n - Transformation applied first
+ * @returns {MobiusObject}  - The transformation z -> m(n(z))
+ */
+function mobius_compose(m,n){
+  let a = complex_mul(m.a, n.a);
+  let ab = complex_mul(m.b, complex_conj(n.b));
+  let b = complex_mul(m.a, n.b);
+  let ba = complex_mul(m.b, complex_conj(n.a));
+  a = {'x': a.x + ab.x, 'y': a.y + ab.y};
+  b = {'x': b.x + ba.x, 'y': b.y + ba.y};
+
+  //Renormalize so that |a|^2 - |b|^2 = 1 and rounding errors don't pile up over many compositions
+  let scale = Math.sqrt(a.x*a.x + a.y*a.y - b.x*b.x - b.y*b.y);
+  return {'a': {'x': a.x/scale, 'y': a.y/scale}, 'b': {'x': b.x/scale, 'y': b.y/scale}};
+}
+
+/**
+ * Inverse of a Mobius transformation
+ * @param {MobiusObject} m - Mobius transformation with defined 'a' and 'b'
+ * @returns {MobiusObject}  - The transformation undoing m
+ */
+function mobius_inverse(m){
+  return {'a': complex_conj(m.a), 'b': {'x': -m.b.x, 'y': -m.b.y}};
+}
+
+/**
+ * Hyperbolic translation along the geodesic through p and q that moves p onto q
+ * @param {NodeObject} p - A point inside the unit disk
+ * @param {NodeObject} q - A point inside the unit disk
+ * @returns {MobiusObject}  - Mobius transformation with defined 'a' and 'b'
+ */
+function mobius_translate_between(p,q){
+  let toOrigin = mobius_translation(p);
+  let w = mobius_apply(toOrigin, q);
+  return mobius_compose(mobius_inverse(toOrigin), mobius_compose(mobius_translation({'x': -w.x, 'y': -w.y}), toOrigin));
+}
+
+/**
+ * Pulls a point back inside the unit disk if it lies on or outside the boundary
+ * @param {NodeObject} p - A point with defined 'x' and 'y'
+ * @param {number} maxRadius - Largest Euclidean radius allowed
+ * @returns {{'x': number, 'y': number}}  - The clamped point
+ */
+function clamp_to_disk(p, maxRadius = 0.999){
+  let r = Math.hypot(p.x, p.y);
+  if (r <= maxRadius){
+    return {'x': p.x, 'y': p.y};
+  }
+  return {'x': p.x * maxRadius / r, 'y': p.y * maxRadius / r};
+}
+
+/**
+ * Point on the hyperbolic geodesic from p to q
+ * @param {NodeObject} p - Startpoint inside the unit disk
+ * @param {NodeObject} q - Endpoint inside the unit disk
+ * @param {number} t - Fraction of the hyperbolic distance from p to q, 0 gives p and 1 gives q
+ * @returns {{'x': number, 'y': number}}  - The interpolated point
+ */
+function geodesic_interpolate(p,q,t){
+  let toOrigin = mobius_translation(p);
+  let w = mobius_apply(toOrigin, q);
+  let r = Math.hypot(w.x, w.y);
+  if (r === 0){
+    return {'x': p.x, 'y': p.y};
+  }
+  //Along a diameter the hyperbolic distance from the origin is 2*atanh(r)
+  let rt = Math.tanh(t * Math.atanh(r));
+  return mobius_apply(mobius_inverse(toOrigin), {'x': w.x * rt / r, 'y': w.y * rt / r});
+}
+
+/**
+ * Logarithmic map: the tangent vector at p pointing to q, with the hyperbolic distance to q as its length.
+ * Tangent vectors are written in the Euclidean directions of the disk, which the Poincare model preserves.
+ * @param {NodeObject} p - Basepoint inside the unit disk
+ * @param {NodeObject} q - A point inside the unit disk
+ * @returns {{'x': number, 'y': number}}  - Tangent vector at p
+ */
+function hyperbolic_log(p,q){
+  let w = mobius_apply(mobius_translation(p), q);
+  let r = Math.hypot(w.x, w.y);
+  if (r === 0){
+    return {'x': 0, 'y': 0};
+  }
+  let d = hyper_dist(p, q);
+  return {'x': w.x * d / r, 'y': w.y * d / r};
+}
+
+/**
+ * Exponential map: walks from p along the geodesic with direction v for the hyperbolic length |v|.
+ * This is the inverse of {@link hyperbolic_log}.
+ * @param {NodeObject} p - Basepoint inside the unit disk
+ * @param {NodeObject} v - Tangent vector at p
+ * @returns {{'x': number, 'y': number}}  - The point reached
+ */
+function hyperbolic_exp(p,v){
+  let d = Math.hypot(v.x, v.y);
+  if (d === 0){
+    return {'x': p.x, 'y': p.y};
+  }
+  let r = Math.tanh(d / 2);
+  return mobius_apply(mobius_inverse(mobius_translation(p)), {'x': v.x * r / d, 'y': v.y * r / d});
+}
+
+
+//Other models of the hyperbolic plane------------------------------------------
+/**
+ * Maps a point of the Poincare disk to the Beltrami-Klein disk
+ * @param {NodeObject} p - A point inside the unit disk
+ * @returns {{'x': number, 'y': number}}  - The same point in the Klein model
+ */
+function poincare_to_klein(p){
+  let s = 2 / (1 + p.x*p.x + p.y*p.y);
+  return {'x': s*p.x, 'y': s*p.y};
+}
+
+/**
+ * Maps a point of the Beltrami-Klein disk to the Poincare disk
+ * @param {NodeObject} k - A point inside the unit disk
+ * @returns {{'x': number, 'y': number}}  - The same point in the Poincare model
+ */
+function klein_to_poincare(k){
+  let s = 1 / (1 + Math.sqrt(Math.max(0, 1 - k.x*k.x - k.y*k.y)));
+  return {'x': s*k.x, 'y': s*k.y};
+}
+
+/**
+ * Maps a point of the Poincare disk to the upper half-plane with the Cayley transform w = i(1+z)/(1-z)
+ * @param {NodeObject} p - A point inside the unit disk
+ * @returns {{'x': number, 'y': number}}  - The same point in the half-plane model, the origin goes to (0, 1)
+ */
+function poincare_to_halfplane(p){
+  let w = complex_div({'x': 1 + p.x, 'y': p.y}, {'x': 1 - p.x, 'y': -p.y});
+  return {'x': -w.y, 'y': w.x};
+}
+
+/**
+ * Maps a point of the upper half-plane to the Poincare disk, the inverse of {@link poincare_to_halfplane}
+ * @param {NodeObject} w - A point with positive 'y'
+ * @returns {{'x': number, 'y': number}}  - The same point in the Poincare model
+ */
+function halfplane_to_poincare(w){
+  return complex_div({'x': w.x, 'y': w.y - 1}, {'x': w.x, 'y': w.y + 1});
+}
+
+/**
+ * Lifts a point of the Poincare disk to the upper sheet of the hyperboloid z^2 - x^2 - y^2 = 1
+ * @param {NodeObject} p - A point inside the unit disk
+ * @returns {{'x': number, 'y': number, 'z': number}}  - The same point in the hyperboloid model
+ */
+function poincare_to_hyperboloid(p){
+  let n = p.x*p.x + p.y*p.y;
+  let s = 1 - n;
+  return {'x': 2*p.x/s, 'y': 2*p.y/s, 'z': (1 + n)/s};
+}
+
+/**
+ * Maps a point of the upper sheet of the hyperboloid to the Poincare disk, the inverse of {@link poincare_to_hyperboloid}
+ * @param {{'x': number, 'y': number, 'z': number}} h - A point with z^2 - x^2 - y^2 = 1 and positive 'z'
+ * @returns {{'x': number, 'y': number}}  - The same point in the Poincare model
+ */
+function hyperboloid_to_poincare(h){
+  return {'x': h.x/(1 + h.z), 'y': h.y/(1 + h.z)};
+}
+
+//Polygon functions-------------------------------------------------------------
+//Polygons are lists of vertices in poincare disk coordinates, joined in order by geodesic sides.
+
+/**
+ * Interior angles of a polygon with geodesic sides.
+ * The model is conformal, so the angle at a vertex is the angle between the directions of the two sides leaving it.
+ * Polygons can run either way round and may have reflex angles.
+ * @param {NodeObject[]} points - Vertices of a simple polygon inside the unit disk
+ * @returns {number[]}  - Angle at every vertex in radians, in the order of the vertices
+ */
+function polygon_interior_angles(points){
+  let n = points.length;
+  //Shoelace sign: the interior is on the left of every side when the vertices run counterclockwise
+  let signedArea = 0;
+  for (let i = 0; i < n; i++){
+    let p = points[i];
+    let q = points[(i + 1) % n];
+    signedArea += p.x * q.y - q.x * p.y;
+  }
+  let orientation = signedArea >= 0 ? 1 : -1;
+  return points.map((p, i) => {
+    let toNext = hyperbolic_log(p, points[(i + 1) % n]);
+    let toPrevious = hyperbolic_log(p, points[(i + n - 1) % n]);
+    let angle = orientation * (Math.atan2(toPrevious.y, toPrevious.x) - Math.atan2(toNext.y, toNext.x));
+    return ((angle % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+  });
+}
+
+/**
+ * Hyperbolic perimeter of a polygon with geodesic sides.
+ * @param {NodeObject[]} points - Vertices of the polygon inside the unit disk
+ * @returns {number}  - Sum of the hyperbolic lengths of the sides
+ */
+function polygon_perimeter(points){
+  let perimeter = 0;
+  for (let i = 0; i < points.length; i++){
+    perimeter += hyper_dist(points[i], points[(i + 1) % points.length]);
+  }
+  return perimeter;
+}
+
+/**
+ * Hyperbolic area of a polygon with geodesic sides, from its angle defect π(n-2) - Σangles (Gauss-Bonnet).
+ * @param {NodeObject[]} points - Vertices of a simple polygon inside the unit disk
+ * @returns {number}  - Area of the polygon
+ */
+function polygon_area(points){
+  return Math.PI * (points.length - 2) - polygon_interior_angles(points).reduce((a, b) => a + b, 0);
+}
+
+
+//Construction functions--------------------------------------------------------
+//Geodesics are returned as two of their points, which is what the editor builds its shapes from.
+
+/**
+ * Unit tangent vector at p of the geodesic towards q
+ * @param {NodeObject} p - A point inside the unit disk
+ * @param {NodeObject} q - Another point inside the unit disk
+ * @returns {{'x': number, 'y': number}}  - Direction of the geodesic leaving p
+ */
+function geodesic_direction(p, q){
+  let v = hyperbolic_log(p, q);
+  let length = Math.hypot(v.x, v.y);
+  return {'x': v.x / length, 'y': v.y / length};
+}
+
+/**
+ * Perpendicular bisector of the segment pq, the points at the same hyperbolic distance from p and q.
+ * @param {NodeObject} p - A point inside the unit disk
+ * @param {NodeObject} q - Another point inside the unit disk
+ * @returns {NodeObject[]}  - Two points of the bisector, the first is the midpoint of pq
+ */
+function perpendicular_bisector(p, q){
+  let m = geodesic_interpolate(p, q, 0.5);
+  let t = geodesic_direction(m, q);
+  return [m, hyperbolic_exp(m, {'x': -t.y, 'y': t.x})];
+}
+
+/**
+ * Bisector of the angle at vertex v between the geodesics to a and to b.
+ * @param {NodeObject} a - A point on the first side
+ * @param {NodeObject} v - The vertex of the angle
+ * @param {NodeObject} b - A point on the second side
+ * @returns {NodeObject[]}  - Two points of the bisector, the first is v
+ */
+function angle_bisector(a, v, b){
+  let u = geodesic_direction(v, a);
+  let w = geodesic_direction(v, b);
+  let direction = {'x': u.x + w.x, 'y': u.y + w.y};
+  if (Math.hypot(direction.x, direction.y) < 1e-9){
+    //A straight angle is bisected by the perpendicular
+    direction = {'x': -u.y, 'y': u.x};
+  }
+  let length = Math.hypot(direction.x, direction.y);
+  return [v, hyperbolic_exp(v, {'x': direction.x / length, 'y': direction.y / length})];
+}
+
+/**
+ * Foot of the perpendicular dropped from p onto the geodesic through a and b.
+ * Moving p to the origin turns the perpendicular into the diameter through the center of the geodesic's circle.
+ * @param {NodeObject} p - A point inside the unit disk
+ * @param {NodeObject} a - A point of the geodesic
+ * @param {NodeObject} b - Another point of the geodesic
+ * @returns {{'x': number, 'y': number}}  - The point of the geodesic nearest to p
+ */
+function geodesic_foot(p, a, b){
+  let toOrigin = mobius_translation(p);
+  let circle = geodesic_circle(mobius_apply(toOrigin, a), mobius_apply(toOrigin, b));
+  if (circle === null){
+    return {'x': p.x, 'y': p.y};
+  }
+  let distance = Math.hypot(circle.cx, circle.cy);
+  let scale = (distance - circle.r) / distance;
+  return mobius_apply(mobius_inverse(toOrigin), {'x': circle.cx * scale, 'y': circle.cy * scale});
+}
+
+/**
+ * The two limiting parallels through p to the geodesic through a and b, which meet it at its ideal points.
+ * @param {NodeObject} p - A point inside the unit disk, off the geodesic
+ * @param {NodeObject} a - A point of the geodesic
+ * @param {NodeObject} b - Another point of the geodesic
+ * @returns {NodeObject[][]}  - Both parallels as p and an ideal point
+ */
+function limiting_parallels(p, a, b){
+  return geodesic_ideal_points(a, b).map(end => [p, end]);
+}
+
+/**
+ * An ultraparallel through p to the geodesic through a and b, the geodesic perpendicular to the common perpendicular from p.
+ * @param {NodeObject} p - A point inside the unit disk
+ * @param {NodeObject} a - A point of the geodesic
+ * @param {NodeObject} b - Another point of the geodesic
+ * @returns {?NodeObject[]}  - Two points of the ultraparallel, the first is p, null when p lies on the geodesic
+ */
+function ultraparallel(p, a, b){
+  let foot = geodesic_foot(p, a, b);
+  if (euclid_dist(foot, p) < 1e-9){
+    return null;
+  }
+  let t = geodesic_direction(p, foot);
+  return [p, hyperbolic_exp(p, {'x': -t.y, 'y': t.x})];
+}
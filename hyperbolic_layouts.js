@@ -0,0 +1,265 @@
+/**
+ * @file This file has graph layout algorithms that work directly in hyperbolic space.
+ */
+/**
+ * This module is a collection of layout algorithms placing nodes in the poincare disk.
+ * Every layout writes its result to the `disk` attribute of the nodes, in poincare disk coordinates.
+ * @module hyperbolic_layouts
+ */
+
+/**
+ * Gives every node that has no usable `disk` position a starting point near the origin.
+ * The points follow a phyllotaxis spiral like d3.forceSimulation does for nodes without x and y.
+ * @param {NodeObject[]} vertices - The nodes of the graph.
+ */
+function hyperbolic_initial_positions(vertices){
+  let goldenAngle = Math.PI * (3 - Math.sqrt(5));
+  for (let i = 0; i < vertices.length; i++){
+    let disk = vertices[i].disk;
+    if (disk === undefined || !Number.isFinite(disk.x) || !Number.isFinite(disk.y)){
+      vertices[i].disk = polar_to_cart(r_poincare_to_euclid(0.2 * Math.sqrt(i + 0.5)), i * goldenAngle);
+    }
+  }
+}
+
+/**
+ * Places a node added to a laid out graph near its neighbors: at their hyperbolic mean, moved a little aside so that nodes
+ * added together do not land on top of each other. The mean is taken in the tangent space of the first neighbor.
+ * @param {NodeObject} vertex - The node to place, its `disk` position is set.
+ * @param {NodeObject[]} neighbors - Nodes it is connected to, the ones without a `disk` position are ignored.
+ * @param {NodeObject} fallback - Where to place the node when no neighbor has a position, in poincare disk coordinates.
+ * @param {number} index - Position of the node among the nodes added together, turning the direction it is moved aside.
+ * @param {number} distance - Hyperbolic distance from the mean.
+ */
+function hyperbolic_place_near(vertex, neighbors, fallback, index = 0, distance = 0.5){
+  let placed = neighbors.filter(d => d.disk !== undefined && Number.isFinite(d.disk.x) && Number.isFinite(d.disk.y));
+  let center = fallback;
+  if (placed.length > 0){
+    let base = placed[0].disk;
+    let logs = placed.map(d => hyperbolic_log(base, d.disk));
+    center = hyperbolic_exp(base, {'x': d3.mean(logs, v => v.x), 'y': d3.mean(logs, v => v.y)});
+  }
+  let goldenAngle = Math.PI * (3 - Math.sqrt(5));
+  vertex.disk = hyperbolic_exp(center, polar_to_cart(distance, index * goldenAngle));
+}
+
+/**
+ * Runs one iteration of the hyperbolic force directed layout.
+ * Forces are summed in the tangent space of every node with {@link hyperbolic_log} and the node is then moved with {@link hyperbolic_exp},
+ * so distances are measured with {@link hyper_dist} instead of in the canvas.
+ * Repulsion decays with sinh of the distance, the way the circumference of a hyperbolic circle grows,
+ * which lets big graphs spread into the room near the boundary.
+ * Repulsion is approximated like Barnes-Hut: the nodes are kept in a quadtree of the disk, and a cell whose hyperbolic size is less than
+ * `theta` times its distance from a node repels it as one node at the mean position of the cell. Nodes farther apart than `distanceMax`
+ * do not repel each other, hyperbolic space holds exponentially many of them and their pushes mostly cancel out.
+ * @param {NodeObject[]} vertices - The nodes of the graph, each with a `disk` position.
+ * @param {EdgeObject[]} edges - The edges of the graph, with `source` and `target` pointing to nodes.
+ * @param {number} alpha - The cooling factor of the simulation, scaling the step of this iteration.
+ * @param {{linkDistance: number, linkStrength: number, charge: number, gravity: number, theta: number, distanceMax: number}} options -
+ * Strengths of the forces, the accuracy of the repulsion, 0 computes it node by node, and the hyperbolic distance it reaches.
+ */
+function hyperbolic_force_tick(vertices, edges, alpha, options = {}){
+  let linkDistance = options.linkDistance === undefined ? 1.5 : options.linkDistance;
+  let linkStrength = options.linkStrength === undefined ? 1 : options.linkStrength;
+  let charge = options.charge === undefined ? 0.3 : options.charge;
+  let gravity = options.gravity === undefined ? 0.05 : options.gravity;
+  let theta = options.theta === undefined ? 0.9 : options.theta;
+  let distanceMax = options.distanceMax === undefined ? 4 : options.distanceMax;
+  //Longest move of a node in one iteration, keeps the first hot iterations from throwing nodes to the boundary
+  let maxStep = 1;
+
+  let forces = new Map();
+  for (let i = 0; i < vertices.length; i++){
+    let p = vertices[i].disk;
+    let toOrigin = hyperbolic_log(p, {'x': 0, 'y': 0});
+    forces.set(vertices[i], {'x': gravity * toOrigin.x, 'y': gravity * toOrigin.y});
+  }
+
+  //Repulsion, cells of the quadtree hold the number of nodes in them, their mean position and a bound on their hyperbolic size:
+  //the diagonal of the box around the nodes stretched by the conformal factor 2/(1-|z|²) at the node farthest from the origin
+  let order = new Map(vertices.map((d, i) => [d, i]));
+  let tree = d3.quadtree(vertices, d => d.disk.x, d => d.disk.y);
+  tree.visitAfter(cell => {
+    let parts = [];
+    if (cell.length){
+      parts = cell.filter(child => child);
+    }
+    else {
+      for (let leaf = cell; leaf; leaf = leaf.next){
+        let p = leaf.data.disk;
+        parts.push({'count': 1, 'x': p.x, 'y': p.y, 'box': [p.x, p.y, p.x, p.y], 'far': Math.hypot(p.x, p.y)});
+      }
+    }
+    cell.count = d3.sum(parts, d => d.count);
+    cell.x = d3.sum(parts, d => d.x * d.count) / cell.count;
+    cell.y = d3.sum(parts, d => d.y * d.count) / cell.count;
+    cell.box = [d3.min(parts, d => d.box[0]), d3.min(parts, d => d.box[1]), d3.max(parts, d => d.box[2]), d3.max(parts, d => d.box[3])];
+    cell.far = d3.max(parts, d => d.far);
+    cell.size = Math.hypot(cell.box[2] - cell.box[0], cell.box[3] - cell.box[1]) * 2 / (1 - cell.far * cell.far);
+  });
+
+  for (let i = 0; i < vertices.length; i++){
+    let p = vertices[i].disk;
+    let force = forces.get(vertices[i]);
+    let repel = (q, d, count) => {
+      let strength = count * charge / (Math.sinh(Math.max(d, 0.1)) * d);
+      let pq = hyperbolic_log(p, q);
+      force.x -= strength * pq.x;
+      force.y -= strength * pq.y;
+    };
+    tree.visit(cell => {
+      if (!cell.length){
+        for (let leaf = cell; leaf; leaf = leaf.next){
+          let j = order.get(leaf.data);
+          let d = hyper_dist(p, leaf.data.disk);
+          if (j === i || d > distanceMax){
+            continue;
+          }
+          if (d < 1e-9){
+            //Nudge coincident nodes apart in opposite directions
+            let nudge = polar_to_cart(0.01, Math.max(i, j));
+            let sign = i > j ? 1 : -1;
+            force.x += sign * nudge.x;
+            force.y += sign * nudge.y;
+            continue;
+          }
+          repel(leaf.data.disk, d, 1);
+        }
+        return true;
+      }
+      //No node of the cell is closer than its mean less its size, and a node in the cell is never farther from the mean than the size,
+      //so the cell is always opened for it
+      let mean = {'x': cell.x, 'y': cell.y};
+      let d = hyper_dist(p, mean);
+      if (d - cell.size > distanceMax){
+        return true;
+      }
+      if (cell.size < theta * d){
+        repel(mean, d, cell.count);
+        return true;
+      }
+      return false;
+    });
+  }
+
+  //Springs along the edges
+  for (let i = 0; i < edges.length; i++){
+    let source = edges[i].source;
+    let target = edges[i].target;
+    if (source === target){
+      continue;
+    }
+    let d = hyper_dist(source.disk, target.disk);
+    if (d < 1e-9){
+      continue;
+    }
+    let strength = linkStrength * (d - linkDistance) / d;
+    let st = hyperbolic_log(source.disk, target.disk);
+    let ts = hyperbolic_log(target.disk, source.disk);
+    forces.get(source).x += strength * st.x;
+    forces.get(source).y += strength * st.y;
+    forces.get(target).x += strength * ts.x;
+    forces.get(target).y += strength * ts.y;
+  }
+
+  for (let i = 0; i < vertices.length; i++){
+    let force = forces.get(vertices[i]);
+    let step = {'x': alpha * force.x, 'y': alpha * force.y};
+    let length = Math.hypot(step.x, step.y);
+    if (length > maxStep){
+      step = {'x': step.x * maxStep / length, 'y': step.y * maxStep / length};
+    }
+    vertices[i].disk = clamp_to_disk(hyperbolic_exp(vertices[i].disk, step), 0.999999);
+  }
+}
+
+/**
+ * Lays a graph out as a hyperbolic tree (balloon layout) grown from a root node.
+ * Every node owns a wedge, its children sit at a fixed hyperbolic distance from it and split the wedge by the size of their subtrees.
+ * A child's wedge is the part of its parent's share seen from the child, which widens with the distance since
+ * hyperbolic space grows exponentially, so deep trees keep finding room towards the boundary.
+ * Graphs that are not trees are laid out along a breadth first spanning tree, other components hang from the root.
+ * @param {NodeObject[]} vertices - The nodes of the graph.
+ * @param {EdgeObject[]} edges - The edges of the graph, with `source` and `target` pointing to nodes.
+ * @param {string|number} rootId - Id of the root node, the first node is used when it is not found.
+ * @param {{distance: number}} options - Hyperbolic distance between a parent and its children.
+ */
+function hyperbolic_tree_layout(vertices, edges, rootId, options = {}){
+  let distance = options.distance === undefined ? 1 : options.distance;
+  //Widest half angle of a wedge below the root, a half-plane beyond the node
+  let maxHalfAngle = Math.PI / 2;
+  if (vertices.length === 0){
+    return;
+  }
+
+  let neighbors = new Map(vertices.map(v => [v, []]));
+  for (let i = 0; i < edges.length; i++){
+    if (edges[i].source !== edges[i].target){
+      neighbors.get(edges[i].source).push(edges[i].target);
+      neighbors.get(edges[i].target).push(edges[i].source);
+    }
+  }
+
+  //Breadth first spanning tree, the roots of the other components become children of the root
+  let root = vertices.find(v => String(v.id) === String(rootId)) || vertices[0];
+  let children = new Map(vertices.map(v => [v, []]));
+  let order = [root];
+  let visited = new Set([root]);
+  let grow = start => {
+    for (let i = order.indexOf(start); i < order.length; i++){
+      for (const next of neighbors.get(order[i])){
+        if (!visited.has(next)){
+          visited.add(next);
+          children.get(order[i]).push(next);
+          order.push(next);
+        }
+      }
+    }
+  };
+  grow(root);
+  for (let i = 0; i < vertices.length; i++){
+    if (!visited.has(vertices[i])){
+      visited.add(vertices[i]);
+      children.get(root).push(vertices[i]);
+      order.push(vertices[i]);
+      grow(vertices[i]);
+    }
+  }
+
+  //Subtree sizes, children always come after their parent in the breadth first order
+  let weight = new Map();
+  for (let i = order.length - 1; i >= 0; i--){
+    weight.set(order[i], 1 + d3.sum(children.get(order[i]), c => weight.get(c)));
+  }
+
+  //Every node is placed in its own frame, where it sits at the origin and its wedge is centered on the angle `direction`.
+  //`frame` maps this local frame to the disk.
+  let edgeLength = r_poincare_to_euclid(distance);
+  let queue = [{'node': root, 'frame': mobius_translation({'x': 0, 'y': 0}), 'direction': 0, 'halfAngle': Math.PI}];
+  root.disk = {'x': 0, 'y': 0};
+  for (let i = 0; i < queue.length; i++){
+    let item = queue[i];
+    let kids = children.get(item.node);
+    let total = d3.sum(kids, c => weight.get(c));
+    let start = item.direction - item.halfAngle;
+    for (const child of kids){
+      let share = 2 * item.halfAngle * weight.get(child) / total;
+      let angle = start + share / 2;
+      start += share;
+
+      let z = polar_to_cart(edgeLength, angle);
+      let toChild = mobius_translation(z);
+      //The ideal points bounding the child's share, seen from the child, give its own wedge
+      let halfAngle = 0;
+      for (const side of [-1, 1]){
+        let ideal = mobius_apply(toChild, polar_to_cart(1, angle + side * share / 2));
+        let offset = Math.atan2(ideal.y, ideal.x) - angle;
+        halfAngle = Math.max(halfAngle, Math.abs(Math.atan2(Math.sin(offset), Math.cos(offset))));
+      }
+
+      let frame = mobius_compose(item.frame, mobius_inverse(toChild));
+      child.disk = mobius_apply(frame, {'x': 0, 'y': 0});
+      queue.push({'node': child, 'frame': frame, 'direction': angle, 'halfAngle': Math.min(halfAngle, maxHalfAngle)});
+    }
+  }
+}
@@ -6,6 +6,25 @@ output.innerHTML = slider.value; // Display the default slider value
 slider.oninput = function () {
   // @ts-ignore
   output.innerHTML = this.value * 0.001;
+  // The slider edits the radius of the selected circle or the distance of the selected hypercycle
+  if (selected !== null && (selected.type === 'circle' || selected.type === 'hypercycle') && !isometry_running()) {
+    if (slider_original === null) {
+      slider_original = selected;
+    }
+    if (selected.type === 'circle') {
+      replace_shape(selected, copy_style(selected, make_circle(selected.diskCenter, get_radius())));
+    } else {
+      replace_shape(selected, copy_style(selected, make_hypercycle(selected.dp1, selected.dp2, get_radius())));
+    }
+  }
+}
+
+// The whole slide is recorded as one edit once the slider is released
+slider.onchange = function () {
+  if (slider_original !== null && slider_original !== selected) {
+    record(replace_command(slider_original, selected));
+  }
+  slider_original = null;
 }
 
 let svg = d3.select("#render");
@@ -15,7 +34,11 @@ let width = svg.node().getBoundingClientRect().width
 let nodes = [];
 let vertices = []
 let lines = []
+let polygons = []
+let points = []
 let can_draw_line = false;
+let selected = null;
+let slider_original = null;
 
 let poindisk = {
   'r': width / 2,
@@ -36,10 +59,251 @@ let view = svg.append('circle')
   .attr('r', poindisk.r)
   .style('fill', 'lightgrey')
   .style('stroke', 'black')
-  .on('click', onclick)
-  .on('mousemove', onmove);
+  .on('click', on_disk_click);
+
+// Listening on the whole svg keeps the previews and readouts going while the pointer is over a shape
+svg.on('mousemove', onmove);
+
+// The tiling sits between the disk and the shapes, clicks go through it to the disk
+let tiling_layer = svg.append('g')
+  .attr('class', 'tiling')
+  .style('pointer-events', 'none');
+
+// Voronoi diagram of the points, under the shapes and letting clicks through
+let voronoi_layer = svg.append('g')
+  .attr('class', 'voronoi')
+  .style('pointer-events', 'none');
+
+// Filled polygons stay under the circles and lines
+let polygon_layer = svg.append('g')
+  .attr('class', 'polygon-layer');
+
+
+//Shapes are kept by their definition in the poincare disk, so they can be moved and rebuilt at any time.
+
+/**
+ * Builds a circle shape with its canvas circle from poincare_circle.
+ * @param {NodeObject} center - Hyperbolic center in poincare disk coordinates
+ * @param {number} radius - Hyperbolic radius
+ */
+let make_circle = function (center, radius) {
+  let circle = poincare_circle(center, radius, poindisk);
+  circle.type = 'circle';
+  circle.diskCenter = center;
+  circle.hr = radius;
+  return circle;
+}
+
+/**
+ * Builds a geodesic segment shape with its arc from poincare_geodesic.
+ * @param {NodeObject} p - Startpoint in poincare disk coordinates
+ * @param {NodeObject} q - Endpoint in poincare disk coordinates
+ */
+let make_line = function (p, q) {
+  let arc = poincare_geodesic(disk_to_client(p), disk_to_client(q), poindisk);
+  arc.type = 'line';
+  arc.dp1 = p;
+  arc.dp2 = q;
+  arc.path = arc_path(arc, poindisk);
+  return arc;
+}
+
+/**
+ * Builds a complete geodesic, running through p and q to its ideal points on the boundary.
+ * @param {NodeObject} p - A point of the geodesic in poincare disk coordinates
+ * @param {NodeObject} q - Another point of the geodesic in poincare disk coordinates
+ */
+let make_geodesic = function (p, q) {
+  let ends = geodesic_ideal_points(p, q);
+  return {
+    'type': 'geodesic',
+    'dp1': p,
+    'dp2': q,
+    'path': geodesic_arc_path(ends[0], ends[1], poindisk)
+  };
+}
+
+/**
+ * Builds a horocycle, touching the boundary at an ideal point.
+ * @param {NodeObject} ideal - The ideal point on the unit circle
+ * @param {NodeObject} point - A point of the horocycle in poincare disk coordinates
+ */
+let make_horocycle = function (ideal, point) {
+  let circle = horocycle(ideal, point);
+  let center = disk_to_canvas({ 'x': circle.cx, 'y': circle.cy }, poindisk);
+  let r = circle.r * poindisk.r;
+  return {
+    'type': 'horocycle',
+    'ideal': ideal,
+    'point': point,
+    // Two half circles, svg arcs can't draw a whole circle at once
+    'path': ["M", center.x - r, center.y, "A", r, r, 0, 1, 0, center.x + r, center.y, "A", r, r, 0, 1, 0, center.x - r, center.y].join(" ")
+  };
+}
+
+/**
+ * Builds a hypercycle, the curve at a fixed hyperbolic distance on both sides of the geodesic through p and q.
+ * @param {NodeObject} p - A point of the geodesic in poincare disk coordinates
+ * @param {NodeObject} q - Another point of the geodesic in poincare disk coordinates
+ * @param {number} distance - Hyperbolic distance from the geodesic
+ */
+let make_hypercycle = function (p, q, distance) {
+  let curve = hypercycle(p, q, distance);
+  let a = disk_to_canvas(curve.ends[0], poindisk);
+  let b = disk_to_canvas(curve.ends[1], poindisk);
+  return {
+    'type': 'hypercycle',
+    'dp1': p,
+    'dp2': q,
+    'distance': distance,
+    'path': curve.through.map(m => three_point_arc_path(a, disk_to_canvas(m, poindisk), b)).join(" ")
+  };
+}
+
+/**
+ * Builds a point, e.g. a constructed midpoint.
+ * @param {NodeObject} p - The point in poincare disk coordinates
+ */
+let make_point = function (p) {
+  return {
+    'type': 'point',
+    'point': p,
+    'center': disk_to_canvas(p, poindisk)
+  };
+}
+
+// The point on the boundary in the direction of p, seen from the center
+let ideal_point = function (p) {
+  return polar_to_cart(1, Math.atan2(p.y, p.x));
+}
+
+// Shapes drawn with two clicks, built from the first and the second point
+const TWO_CLICK_SHAPES = {
+  'line': (p, q) => make_line(p, q),
+  'geodesic': (p, q) => make_geodesic(p, q),
+  'horocycle': (p, q) => make_horocycle(ideal_point(p), q),
+  'hypercycle': (p, q) => make_hypercycle(p, q, get_radius())
+};
+
+/**
+ * Builds a polygon shape whose sides are geodesic arcs.
+ * @param {NodeObject[]} points - Vertices in poincare disk coordinates, in order
+ */
+let make_polygon = function (points) {
+  return {
+    'type': 'polygon',
+    'points': points,
+    'path': geodesic_polygon_path(points, poindisk)
+  };
+}
+
+/**
+ * Applies a map of the poincare disk (e.g. a Mobius transformation) to the defining points of a shape.
+ * @param {Object} shape - A shape made by make_circle, make_line or the other make_ functions
+ * @param {Function} f - The map, taking and returning a point in poincare disk coordinates
+ * @returns {Object} - The new shape
+ */
+let map_shape = function (shape, f) {
+  let mapped;
+  if (shape.type === 'circle') {
+    mapped = make_circle(f(shape.diskCenter), shape.hr);
+  } else if (shape.type === 'polygon') {
+    mapped = make_polygon(shape.points.map(f));
+  } else if (shape.type === 'geodesic') {
+    mapped = make_geodesic(f(shape.dp1), f(shape.dp2));
+  } else if (shape.type === 'horocycle') {
+    mapped = make_horocycle(f(shape.ideal), f(shape.point));
+  } else if (shape.type === 'hypercycle') {
+    mapped = make_hypercycle(f(shape.dp1), f(shape.dp2), shape.distance);
+  } else if (shape.type === 'point') {
+    mapped = make_point(f(shape.point));
+  } else {
+    mapped = make_line(f(shape.dp1), f(shape.dp2));
+  }
+  copy_style(shape, mapped);
+  if (shape.ghost) {
+    mapped.ghost = true;
+  }
+  return mapped;
+}
+
+let shape_list = function (shape) {
+  if (shape.type === 'polygon') {
+    return polygons;
+  } else if (shape.type === 'point') {
+    return points;
+  }
+  return shape.type === 'circle' ? nodes : lines;
+}
+
+let replace_shape = function (shape, replacement) {
+  let list = shape_list(shape);
+  list[list.indexOf(shape)] = replacement;
+  if (selected === shape) {
+    selected = replacement;
+  }
+  redraw();
+}
+
+let delete_shape = function (shape) {
+  let list = shape_list(shape);
+  list.splice(list.indexOf(shape), 1);
+  if (selected === shape) {
+    selected = null;
+  }
+  d3.selectAll(".centers").remove()
+  redraw();
+}
+
+let select_shape = function (shape) {
+  selected = shape;
+  if (shape !== null && (shape.type === 'circle' || shape.type === 'hypercycle')) {
+    // @ts-ignore
+    slider.value = Math.round((shape.type === 'circle' ? shape.hr : shape.distance) * 1000);
+    // @ts-ignore
+    output.innerHTML = slider.value * 0.001;
+  }
+  redraw();
+}
+
+// New shapes take the color chosen in the sidebar, choosing another color restyles the selected shape
+let with_color = function (shape) {
+  shape.color = get_color();
+  return shape;
+}
 
+// The style of a shape carries over to the shapes made from it, e.g. when it is moved
+let copy_style = function (shape, copy) {
+  if (shape.color !== undefined) {
+    copy.color = shape.color;
+  }
+  return copy;
+}
+
+let shape_stroke = function (shape) {
+  if (shape === selected) {
+    return 'goldenrod';
+  }
+  return shape.color === undefined ? 'black' : shape.color;
+}
+
+// Ghosts are the copies left behind by an isometry, drawn faded and dashed
+let shape_opacity = function (shape) {
+  return shape.ghost ? 0.35 : 1;
+}
+
+let shape_dasharray = function (shape) {
+  return shape.ghost ? '4 3' : null;
+}
 
+let redraw = function () {
+  drawPolygons(polygons);
+  drawNodes(nodes);
+  drawLines(lines);
+  drawPoints(points);
+  update_polygon_readout();
+  draw_point_voronoi();
+}
 
 let drawNodes = function (nodes) {
   svg.selectAll('.nodes')
@@ -51,7 +315,6 @@ let drawNodes = function (nodes) {
         .attr('cy', d => d.cy)
         .attr('r', 1e-6)
         .style('fill', 'lightblue')
-        .style('stroke', 'black')
         .style('stroke-width', "1px")
 
         // @ts-ignore
@@ -61,8 +324,16 @@ let drawNodes = function (nodes) {
 
         .on("mouseover", on_mouseover)
         .on("mouseout", on_mouseout)
-
+        .on("click", on_shape_click)
+        .call(shape_drag),
+      update => update
+        .attr('cx', d => d.cx)
+        .attr('cy', d => d.cy)
+        .attr('r', d => d.r)
     )
+    .style('stroke', shape_stroke)
+    .style('opacity', shape_opacity)
+    .style('stroke-dasharray', shape_dasharray)
 
 }
 
@@ -72,7 +343,7 @@ let drawLine = function (line) {
     .data(line)
     .join(
       enter => enter.append('path')
-        .attr('d', d => arc_path(d))
+        .attr('d', d => d.path)
         .attr('class', 'testline')
         .style('stroke', 'black')
         .style('fill', 'none')
@@ -92,53 +363,699 @@ let drawLine = function (line) {
 
 let drawLines = function (lines) {
   svg.selectAll('.lines')
-    .data(lines, d => d.p2)
+    .data(lines)
     .join(
       enter => enter.append('path')
-        .attr('d', d => arc_path(d, poindisk))
         .attr('class', 'lines')
-        .style('stroke', 'black')
         .style('fill', 'none')
+        .on("click", on_shape_click)
+        .call(shape_drag)
         //.attr('transform', d => "translate(" + d.c.x.toString() + ',' + d.c.y.toString() + ")")
     )
+    .attr('d', d => d.path)
+    .style('stroke', shape_stroke)
+    .style('opacity', shape_opacity)
+    .style('stroke-dasharray', shape_dasharray)
 
 }
 
+let drawPoints = function (points) {
+  svg.selectAll('.points')
+    .data(points)
+    .join(
+      enter => enter.append('circle')
+        .attr('class', 'points')
+        .attr('r', 4)
+        .on("click", on_shape_click)
+        .call(shape_drag)
+    )
+    .attr('cx', d => d.center.x)
+    .attr('cy', d => d.center.y)
+    .style('fill', shape_stroke)
+    .style('opacity', shape_opacity)
+}
+
+let drawPolygons = function (polygons) {
+  polygon_layer.selectAll('.polygons')
+    .data(polygons)
+    .join(
+      enter => enter.append('path')
+        .attr('class', 'polygons')
+        .style('fill', 'lightblue')
+        .style('fill-opacity', 0.6)
+        .on("click", on_shape_click)
+        .call(shape_drag)
+    )
+    .attr('d', d => d.path)
+    .style('stroke', shape_stroke)
+    .style('opacity', shape_opacity)
+    .style('stroke-dasharray', shape_dasharray)
+}
+
+// The sides placed so far, the side following the pointer and a mark on the first vertex, which closes the polygon
+let drawPolygonPreview = function (points, pointer) {
+  svg.selectAll('.testline').remove()
+  let chain = pointer === null ? points : points.concat([pointer])
+  for (let i = 0; i + 1 < chain.length; i++) {
+    svg.append('path')
+      .attr('class', 'testline')
+      .attr('d', make_line(chain[i], chain[i + 1]).path)
+      .style('stroke', 'black')
+      .style('fill', 'none')
+      .style('pointer-events', 'none')
+  }
+  let first = disk_to_canvas(points[0], poindisk)
+  svg.append('circle')
+    .attr('class', 'testline')
+    .attr('cx', first.x)
+    .attr('cy', first.y)
+    .attr('r', POLYGON_CLOSE_PIXELS / 2)
+    .style('fill', 'goldenrod')
+    .style('pointer-events', 'none')
+}
+
 function onmove(e) {
+  let p = event_to_disk(e)
+  if (Math.hypot(p.x, p.y) >= 1) {
+    return
+  }
   if (can_draw_line && vertices.length >= 1) {
-    let left = poindisk.boundbox.left
-    let top = poindisk.boundbox.top
-    lines.push(poincare_geodesic(vertices[0], { 'x': e.x , 'y': e.y}, poindisk));
-    drawLine(lines)
-    lines.pop()
+    drawLine([TWO_CLICK_SHAPES[get_mode()](vertices[0], p)])
+  } else if (get_mode() === 'polygon' && vertices.length >= 1) {
+    drawPolygonPreview(vertices, p)
+  } else if (get_mode() === 'measure') {
+    // The datum of the element under the pointer is the hovered shape, the disk and the svg have none
+    update_measurements(p, d3.select(e.target).datum())
   }
 
 }
 
 
 
-function onclick() {
-  // @ts-ignore
-  let e = event
-  let left = poindisk.boundbox.left
-  let top = poindisk.boundbox.top
-  if (document.getElementById('draw-select').value === 'circle') {
-    nodes.push(poincare_circle(canvas_to_disk({ 'x': e.x, 'y': e.y }, poindisk), get_radius(), poindisk))
+// Not named onclick, a global function with that name also becomes the window's click handler and runs twice
+function on_disk_click(e, clicked = null) {
+  if (isometry_running()) {
+    return
+  }
+  let mode = get_mode()
+  if (mode === 'select') {
+    select_shape(null)
+    return
+  }
+  if (mode === 'circle') {
+    execute(add_command(with_color(make_circle(event_to_disk(e), get_radius()))))
     // @ts-ignore
-  } else if (document.getElementById('draw-select').value === 'line' && can_draw_line === false) {
+  } else if (mode === 'measure') {
+    pin_point(snap_point(event_to_disk(e)))
+  } else if (mode === 'point') {
+    execute(add_command(with_color(make_point(event_to_disk(e)))))
+  } else if (mode === 'polygon') {
+    add_polygon_vertex(event_to_disk(e))
+  } else if (mode in CONSTRUCTIONS) {
+    add_construction_input(event_to_disk(e), clicked)
+  } else if (mode in TWO_CLICK_SHAPES && can_draw_line === false) {
 
-    vertices.push({ 'x': e.x, 'y': e.y  }, poindisk)
+    vertices.push(event_to_disk(e))
     can_draw_line = true;
   } else if (can_draw_line === true) {
-
-    lines.push(poincare_geodesic(vertices[0], { 'x': e.x , 'y': e.y  }, poindisk))
+    let p = event_to_disk(e)
+    if (euclid_dist(p, vertices[0]) === 0) {
+      // A double click doesn't give a second point
+      return
+    }
+    execute(add_command(with_color(TWO_CLICK_SHAPES[mode](vertices[0], p))))
     vertices = []
     can_draw_line = false
-    drawLines(lines)
+    svg.selectAll('.testline').remove()
   }
-  console.log(can_draw_line)
-  drawNodes(nodes);
-  drawLines(vertices);
+  redraw();
+}
+
+// Polygons-----------------------------------------------------------------------
+// Clicking this close to the first vertex closes the polygon
+const POLYGON_CLOSE_PIXELS = 10;
+// The polygon drawn last, its measures are shown until another polygon is selected
+let drawn_polygon = null;
+
+let add_polygon_vertex = function (p) {
+  let first = vertices.length > 0 ? disk_to_canvas(vertices[0], poindisk) : null
+  let point = disk_to_canvas(p, poindisk)
+  if (vertices.length >= 3 && euclid_dist(first, point) <= POLYGON_CLOSE_PIXELS) {
+    drawn_polygon = with_color(make_polygon(vertices))
+    vertices = []
+    svg.selectAll('.testline').remove()
+    execute(add_command(drawn_polygon))
+    return
+  }
+  vertices.push(p)
+  drawPolygonPreview(vertices, null)
+}
+
+// Shows the interior angles, perimeter and area of the selected polygon, or else of the one drawn last
+let update_polygon_readout = function () {
+  let polygon = selected !== null && selected.type === 'polygon' ? selected : drawn_polygon
+  let readout = document.getElementById('polygon-measures')
+  if (polygon === null || polygons.indexOf(polygon) === -1) {
+    readout.innerHTML = ''
+    return
+  }
+  let angles = polygon_interior_angles(polygon.points)
+  readout.innerHTML = [
+    'Angles: ' + angles.map(a => (a * 180 / Math.PI).toFixed(1) + '°').join(', '),
+    'Angle sum: ' + (d3.sum(angles) * 180 / Math.PI).toFixed(1) + '°',
+    'Perimeter: ' + polygon_perimeter(polygon.points).toFixed(3),
+    'Area: ' + polygon_area(polygon.points).toFixed(3)
+  ].join('<br>')
+}
+
+// Measuring----------------------------------------------------------------------
+// Distances are measured from the pinned point, placed by clicking in the measure mode
+let pinned = null;
+
+let pin_point = function (p) {
+  pinned = p
+  svg.selectAll('.pin').remove()
+  if (p === null) {
+    return
+  }
+  let c = disk_to_canvas(p, poindisk)
+  svg.append('circle')
+    .attr('class', 'pin')
+    .attr('cx', c.x)
+    .attr('cy', c.y)
+    .attr('r', 5)
+    .style('fill', 'crimson')
+    .style('pointer-events', 'none')
+}
+
+let update_measurements = function (p, shape) {
+  let rows = ['Distance to origin: ' + hyper_dist(p, { 'x': 0, 'y': 0 }).toFixed(3)]
+  if (pinned !== null) {
+    rows.push('Distance from pin: ' + hyper_dist(p, pinned).toFixed(3))
+  }
+  if (shape !== undefined && shape !== null) {
+    if (shape.type === 'circle') {
+      rows.push(
+        'Circle radius: ' + shape.hr.toFixed(3),
+        'Circumference: ' + (2 * Math.PI * Math.sinh(shape.hr)).toFixed(3),
+        'Area: ' + (2 * Math.PI * (Math.cosh(shape.hr) - 1)).toFixed(3))
+    } else if (shape.type === 'line') {
+      rows.push('Line length: ' + hyper_dist(shape.dp1, shape.dp2).toFixed(3))
+    } else if (shape.type === 'geodesic' || shape.type === 'horocycle' || shape.type === 'hypercycle') {
+      rows.push('Length: ∞')
+    } else if (shape.type === 'polygon') {
+      rows.push(
+        'Perimeter: ' + polygon_perimeter(shape.points).toFixed(3),
+        'Area: ' + polygon_area(shape.points).toFixed(3))
+    }
+  }
+  document.getElementById('measurements').innerHTML = rows.join('<br>')
+}
+
+// Isometries---------------------------------------------------------------------
+// An isometry moves every shape but the selected line or point that defines it, rotations and translations are shown moving before they are applied.
+const ISOMETRY_DURATION = 1000;
+// Longest translation, further images of points near the center round onto the boundary circle
+const ISOMETRY_MAX_DISTANCE = 10;
+let isometry_timer = null;
+
+// The scene is not edited while an isometry is shown moving, the shapes it moves are fixed when it starts
+let isometry_running = function () {
+  return isometry_timer !== null;
+}
+
+/**
+ * The isometry chosen in the sidebar, with the selected shape as its axis or center.
+ * @returns {{'reference': Object, 'at': Function, 'animated': boolean}} - `at(t)` is the map of the poincare disk after the fraction t
+ * of the motion, `animated` is false for a reflection, which is applied at once
+ */
+let chosen_isometry = function () {
+  // @ts-ignore
+  let kind = document.getElementById('isometry-select').value;
+  let is_line = selected !== null && (selected.type === 'line' || selected.type === 'geodesic');
+  if (kind === 'reflect') {
+    if (!is_line) {
+      throw new Error('Select the line or geodesic to reflect across');
+    }
+    let a = selected.dp1;
+    let b = selected.dp2;
+    // A reflection reverses the orientation, no motion of the plane ends in it, so there are no isometries to show in between
+    return {
+      'reference': selected,
+      'at': () => z => geodesic_reflection(z, a, b),
+      'animated': false
+    };
+  } else if (kind === 'rotate') {
+    if (selected === null || (selected.type !== 'point' && selected.type !== 'circle')) {
+      throw new Error('Select the point or circle to rotate around');
+    }
+    // @ts-ignore
+    let angle = Number(document.getElementById('isometry-angle').value);
+    if (!Number.isFinite(angle)) {
+      throw new Error('Enter the angle to rotate by');
+    }
+    let toOrigin = mobius_translation(selected.type === 'point' ? selected.point : selected.diskCenter);
+    let theta = angle * Math.PI / 180;
+    return {
+      'reference': selected,
+      'at': t => z => mobius_apply(mobius_compose(mobius_inverse(toOrigin), mobius_compose(mobius_rotation(t * theta), toOrigin)), z),
+      'animated': true
+    };
+  }
+  if (!is_line) {
+    throw new Error('Select the line or geodesic to translate along');
+  }
+  // @ts-ignore
+  let distance = Number(document.getElementById('isometry-distance').value);
+  if (!Number.isFinite(distance) || Math.abs(distance) > ISOMETRY_MAX_DISTANCE) {
+    throw new Error('Enter a distance of at most ' + ISOMETRY_MAX_DISTANCE + ' to translate by');
+  }
+  let a = selected.dp1;
+  // Moved to the origin the line is a diameter, its direction is kept and an ideal endpoint stays on the boundary
+  let toward = mobius_apply(mobius_translation(a), selected.dp2);
+  let length = Math.hypot(toward.x, toward.y);
+  let direction = { 'x': toward.x / length, 'y': toward.y / length };
+  return {
+    'reference': selected,
+    'at': t => z => mobius_apply(mobius_translate_between(a, clamp_to_disk(hyperbolic_exp(a, { 'x': direction.x * t * distance, 'y': direction.y * t * distance }))), z),
+    'animated': true
+  };
+}
+
+// Outline of any shape as a path, for the preview
+let shape_outline = function (shape) {
+  if (shape.type === 'circle' || shape.type === 'point') {
+    let c = shape.type === 'circle' ? { 'x': shape.cx, 'y': shape.cy } : shape.center;
+    let r = shape.type === 'circle' ? shape.r : 4;
+    return ["M", c.x - r, c.y, "A", r, r, 0, 1, 0, c.x + r, c.y, "A", r, r, 0, 1, 0, c.x - r, c.y].join(" ");
+  }
+  return shape.path;
+}
+
+let apply_isometry = function () {
+  let isometry;
+  try {
+    isometry = chosen_isometry();
+  } catch (error) {
+    document.getElementById('isometry-hint').textContent = error.message;
+    return;
+  }
+  document.getElementById('isometry-hint').textContent = '';
+  let shapes = nodes.concat(lines, polygons, points).filter(d => d !== isometry.reference && !d.ghost);
+  // @ts-ignore
+  let keep_ghost = document.getElementById('isometry-ghost').checked;
+  let finish = function () {
+    let g = isometry.at(1);
+    execute(batch_command(shapes.flatMap(d => keep_ghost
+      ? [replace_command(d, Object.assign({}, d, { 'ghost': true })), add_command(map_shape(d, g))]
+      : [replace_command(d, map_shape(d, g))])));
+  };
+  if (!isometry.animated) {
+    finish();
+    return;
+  }
+  // @ts-ignore
+  document.getElementById('apply-isometry').disabled = true;
+
+  isometry_timer = d3.timer(elapsed => {
+    let t = Math.min(1, elapsed / ISOMETRY_DURATION);
+    let f = isometry.at(d3.easeCubicInOut(t));
+    svg.selectAll('.testline')
+      .data(shapes.map(d => map_shape(d, f)))
+      .join('path')
+      .attr('class', 'testline')
+      .attr('d', shape_outline)
+      .style('fill', 'none')
+      .style('stroke', 'goldenrod')
+      .style('pointer-events', 'none');
+    if (t < 1) {
+      return;
+    }
+    isometry_timer.stop();
+    isometry_timer = null;
+    svg.selectAll('.testline').remove();
+    // @ts-ignore
+    document.getElementById('apply-isometry').disabled = false;
+    finish();
+  });
+}
+
+document.getElementById('apply-isometry').addEventListener('click', apply_isometry);
+
+// Constructions------------------------------------------------------------------
+// Every construction asks for points, or for a line or geodesic of the scene, and adds ordinary shapes to the scene,
+// so its results can be moved, restyled, saved and used by further constructions.
+// Clicks this close to a point of the scene take that point
+const SNAP_PIXELS = 8;
+
+const CONSTRUCTIONS = {
+  'circle-3': {
+    'steps': ['Click the first point of the circle', 'Click the second point', 'Click the third point'],
+    'build': (a, b, c) => {
+      let circle = circle_through_points(a, b, c);
+      if (circle === null) {
+        throw new Error('These points are not on a hyperbolic circle');
+      }
+      return [make_circle(circle.center, circle.radius)];
+    }
+  },
+  'circle-center': {
+    'steps': ['Click the center', 'Click a point of the circle'],
+    'build': (center, p) => [make_circle(center, hyper_dist(center, p))]
+  },
+  'perpendicular-bisector': {
+    'steps': ['Click the first end of the segment', 'Click the second end'],
+    'build': (p, q) => [make_geodesic(...perpendicular_bisector(p, q))]
+  },
+  'angle-bisector': {
+    'steps': ['Click a point on the first side', 'Click the vertex', 'Click a point on the second side'],
+    'build': (a, v, b) => [make_geodesic(...angle_bisector(a, v, b))]
+  },
+  'midpoint': {
+    'steps': ['Click the first end of the segment', 'Click the second end'],
+    'build': (p, q) => [make_point(geodesic_interpolate(p, q, 0.5))]
+  },
+  'parallel': {
+    'steps': [{ 'line': true, 'text': 'Click a line or geodesic' }, 'Click the point the parallels go through'],
+    'build': (line, p) => limiting_parallels(p, ...line).map(d => make_geodesic(...d))
+  },
+  'ultraparallel': {
+    'steps': [{ 'line': true, 'text': 'Click a line or geodesic' }, 'Click the point the ultraparallel goes through'],
+    'build': (line, p) => {
+      let ultra = ultraparallel(p, ...line);
+      if (ultra === null) {
+        throw new Error('The point is on the line');
+      }
+      return [make_geodesic(...ultra)];
+    }
+  }
+};
+
+let construction_inputs = [];
+
+// The points of a shape that constructions can start from
+let defining_points = function (shape) {
+  if (shape.type === 'circle') {
+    return [shape.diskCenter];
+  } else if (shape.type === 'polygon') {
+    return shape.points;
+  } else if (shape.type === 'point' || shape.type === 'horocycle') {
+    return [shape.point];
+  }
+  return [shape.dp1, shape.dp2];
+}
+
+let snap_point = function (p) {
+  let click = disk_to_canvas(p, poindisk);
+  let best = p;
+  let best_distance = SNAP_PIXELS;
+  for (const shape of nodes.concat(lines, polygons, points)) {
+    // Ideal points are not points of the plane
+    for (const q of defining_points(shape).filter(q => Math.hypot(q.x, q.y) < 1 - 1e-9)) {
+      let distance = euclid_dist(click, disk_to_canvas(q, poindisk));
+      if (distance <= best_distance) {
+        best = q;
+        best_distance = distance;
+      }
+    }
+  }
+  return best;
+}
+
+let construction_step = function (construction) {
+  let step = construction.steps[construction_inputs.length];
+  return typeof step === 'string' ? { 'line': false, 'text': step } : step;
+}
+
+let show_construction_hint = function (text) {
+  document.getElementById('construction-hint').textContent = text;
+}
+
+let add_construction_input = function (p, clicked) {
+  let construction = CONSTRUCTIONS[get_mode()];
+  if (construction_step(construction).line) {
+    if (clicked === null || (clicked.type !== 'line' && clicked.type !== 'geodesic')) {
+      show_construction_hint('That is not a line, ' + construction_step(construction).text.toLowerCase());
+      return;
+    }
+    construction_inputs.push([clicked.dp1, clicked.dp2]);
+  } else {
+    construction_inputs.push(snap_point(p));
+  }
+
+  if (construction_inputs.length < construction.steps.length) {
+    draw_construction_inputs();
+    show_construction_hint(construction_step(construction).text);
+    return;
+  }
+  let inputs = construction_inputs;
+  construction_inputs = [];
+  svg.selectAll('.testline').remove();
+  try {
+    execute(batch_command(construction.build(...inputs).map(shape => add_command(with_color(shape)))));
+    show_construction_hint(construction_step(construction).text);
+  } catch (error) {
+    show_construction_hint(error.message);
+  }
+}
+
+// Marks the points given so far
+let draw_construction_inputs = function () {
+  svg.selectAll('.testline').remove();
+  svg.selectAll('.testline')
+    .data(construction_inputs.flat())
+    .join('circle')
+    .attr('class', 'testline')
+    .attr('cx', d => disk_to_canvas(d, poindisk).x)
+    .attr('cy', d => disk_to_canvas(d, poindisk).y)
+    .attr('r', 5)
+    .style('fill', 'goldenrod')
+    .style('pointer-events', 'none');
+}
+
+// Selecting and editing shapes-------------------------------------------------
+
+function on_shape_click(e, shape) {
+  if (get_mode() === 'select') {
+    e.stopPropagation()
+    select_shape(shape)
+  } else {
+    // Shapes cover the disk, keep drawing on top of them
+    on_disk_click(e, shape)
+  }
+}
+
+// Dragging moves the shape with the hyperbolic translation from the previous pointer position to the current one
+let drag_from = null;
+let drag_original = null;
+let shape_drag = d3.drag()
+  .filter(() => get_mode() === 'select' && !isometry_running())
+  .on('start', (e, shape) => {
+    drag_from = event_to_disk(e.sourceEvent)
+    drag_original = shape
+    select_shape(shape)
+  })
+  .on('drag', e => {
+    let to = clamp_to_disk(event_to_disk(e.sourceEvent))
+    let translation = mobius_translate_between(clamp_to_disk(drag_from), to)
+    drag_from = to
+    d3.selectAll(".centers").remove()
+    replace_shape(selected, map_shape(selected, p => mobius_apply(translation, p)))
+  })
+  .on('end', () => {
+    // The shape followed the pointer already, only the whole move goes into the history
+    if (selected !== drag_original) {
+      record(replace_command(drag_original, selected))
+    }
+    drag_original = null
+  })
+
+document.addEventListener('keydown', e => {
+  // @ts-ignore
+  if (e.target.tagName === 'INPUT') {
+    return
+  }
+  if ((e.key === 'Delete' || e.key === 'Backspace') && selected !== null && get_mode() === 'select' && !isometry_running()) {
+    e.preventDefault()
+    execute(delete_command(selected))
+  } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+    e.preventDefault()
+    if (e.shiftKey) {
+      redo()
+    } else {
+      undo()
+    }
+  } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'y') {
+    e.preventDefault()
+    redo()
+  } else if (e.key === 'Escape' && get_mode() === 'polygon') {
+    // Drops the polygon being drawn
+    vertices = []
+    svg.selectAll('.testline').remove()
+  }
+})
+
+// History----------------------------------------------------------------------
+//Every change of the scene is a command with apply and revert, the stacks hold the commands to undo and redo.
+let undo_stack = [];
+let redo_stack = [];
+
+let execute = function (command) {
+  command.apply();
+  record(command);
+}
+
+// Adds a command whose change is already on screen, e.g. after a drag
+let record = function (command) {
+  undo_stack.push(command);
+  redo_stack = [];
+  history_changed();
+}
+
+let undo = function () {
+  if (undo_stack.length === 0 || isometry_running()) {
+    return;
+  }
+  let command = undo_stack.pop();
+  command.revert();
+  redo_stack.push(command);
+  history_changed();
+}
+
+let redo = function () {
+  if (redo_stack.length === 0 || isometry_running()) {
+    return;
+  }
+  let command = redo_stack.pop();
+  command.apply();
+  undo_stack.push(command);
+  history_changed();
+}
+
+let add_command = function (shape) {
+  return {
+    'apply': () => {
+      shape_list(shape).push(shape);
+      redraw();
+    },
+    'revert': () => delete_shape(shape)
+  };
+}
+
+let replace_command = function (shape, replacement) {
+  return {
+    'apply': () => replace_shape(shape, replacement),
+    'revert': () => replace_shape(replacement, shape)
+  };
+}
+
+// Runs several commands as one step of the history
+let batch_command = function (commands) {
+  return {
+    'apply': () => commands.forEach(command => command.apply()),
+    'revert': () => commands.slice().reverse().forEach(command => command.revert())
+  };
+}
+
+let delete_command = function (shape) {
+  let index = shape_list(shape).indexOf(shape);
+  return {
+    'apply': () => delete_shape(shape),
+    'revert': () => {
+      shape_list(shape).splice(index, 0, shape);
+      redraw();
+    }
+  };
+}
+
+let history_changed = function () {
+  update_history_buttons();
+  autosave();
+}
+
+let update_history_buttons = function () {
+  // @ts-ignore
+  document.getElementById('undo').disabled = undo_stack.length === 0;
+  // @ts-ignore
+  document.getElementById('redo').disabled = redo_stack.length === 0;
+}
+
+document.getElementById('undo').addEventListener('click', () => undo());
+document.getElementById('redo').addEventListener('click', () => redo());
+
+document.getElementById('shape-color').addEventListener('change', () => {
+  if (selected !== null && !isometry_running()) {
+    execute(replace_command(selected, with_color(Object.assign({}, selected))))
+  }
+})
+
+document.getElementById('draw-select').addEventListener('change', () => {
+  vertices = []
+  can_draw_line = false
+  drawn_polygon = null
+  construction_inputs = []
+  pin_point(null)
+  document.getElementById('measurements').innerHTML = ''
+  svg.selectAll('.testline').remove()
+  show_construction_hint(get_mode() in CONSTRUCTIONS ? construction_step(CONSTRUCTIONS[get_mode()]).text : '')
+  if (get_mode() !== 'select') {
+    select_shape(null)
+  }
+})
+
+// Background tiling-------------------------------------------------------------
+// Tiles smaller than this many pixels near the boundary are not drawn
+const TILING_MIN_PIXELS = 2;
+
+let draw_background_tiling = function () {
+  // @ts-ignore
+  let symbol = document.getElementById('tiling-select').value;
+  if (symbol === '') {
+    tiling_layer.selectAll('*').remove();
+    return;
+  }
+  let tiling = parse_tiling_symbol(symbol);
+  let tiles = regular_tiling(tiling.p, tiling.q, {
+    // @ts-ignore
+    'depth': Number(document.getElementById('tiling-depth').value),
+    'minSize': TILING_MIN_PIXELS / poindisk.r
+  });
+  draw_tiling(tiling_layer, tiles, vertices => geodesic_polygon_path(vertices, poindisk));
+}
+
+document.getElementById('tiling-select').addEventListener('change', draw_background_tiling);
+document.getElementById('tiling-depth').addEventListener('change', draw_background_tiling);
+
+// Voronoi diagram---------------------------------------------------------------
+
+// Draws the hyperbolic Voronoi cells, edges and Delaunay triangulation of the point shapes that are switched on
+let draw_point_voronoi = function () {
+  let parts = {
+    // @ts-ignore
+    'cells': document.getElementById('voronoi-cells').checked,
+    // @ts-ignore
+    'voronoi': document.getElementById('voronoi-edges').checked,
+    // @ts-ignore
+    'delaunay': document.getElementById('delaunay-edges').checked
+  };
+  if (!parts.cells && !parts.voronoi && !parts.delaunay) {
+    voronoi_layer.selectAll('*').remove();
+    return;
+  }
+  let sites = points.map(d => d.point);
+  draw_voronoi(voronoi_layer, hyperbolic_voronoi(sites), sites, {
+    'cell': cell => voronoi_cell_path(cell, poindisk),
+    'segment': (p, q) => geodesic_arc_path(p, q, poindisk)
+  }, parts);
+}
+
+for (const id of ['voronoi-cells', 'voronoi-edges', 'delaunay-edges']) {
+  document.getElementById(id).addEventListener('change', draw_point_voronoi);
+}
+
+function get_mode() {
+  // @ts-ignore
+  return document.getElementById('draw-select').value
 }
 
 function get_radius() {
@@ -146,6 +1063,21 @@ function get_radius() {
   return document.getElementById("radius").value * 0.001
 }
 
+function get_color() {
+  //@ts-ignore
+  return document.getElementById("shape-color").value
+}
+
+function event_to_disk(e) {
+  return canvas_to_disk({ 'x': e.x, 'y': e.y }, poindisk)
+}
+
+// poincare_geodesic takes points in the same page coordinates as the mouse events
+function disk_to_client(p) {
+  let c = disk_to_canvas(p, poindisk)
+  return { 'x': c.x + poindisk.boundbox.left, 'y': c.y + poindisk.boundbox.top }
+}
+
 let on_mouseover = function (d, circle) {
   //Modify this objects attributes
   d3.select(this)
@@ -170,9 +1102,217 @@ let on_mouseover = function (d, circle) {
 let on_mouseout = function (d, i) {
   //Modify this objects attributes
   d3.select(this)
-    .style("stroke", "black")
+    .style("stroke", shape_stroke)
     .style("stroke-width", "1px");
 
   d3.selectAll(".centers").remove()
 
 }
+
+// Saving and loading-----------------------------------------------------------
+//Scenes are stored in poincare disk coordinates, so they can be opened again at any canvas size.
+const SCENE_FORMAT = 'hyperbolic-point-and-click';
+const SCENE_VERSION = 1;
+const AUTOSAVE_KEY = 'hyperbolic-point-and-click-scene';
+
+let serialize_scene = function () {
+  return {
+    'format': SCENE_FORMAT,
+    'version': SCENE_VERSION,
+    'shapes': nodes.concat(lines, polygons, points).map(shape => {
+      let data = serialize_shape(shape);
+      if (shape.color !== undefined) {
+        data.color = shape.color;
+      }
+      if (shape.ghost) {
+        data.ghost = true;
+      }
+      return data;
+    })
+  };
+}
+
+let serialize_shape = function (shape) {
+  if (shape.type === 'circle') {
+    return { 'type': 'circle', 'center': shape.diskCenter, 'radius': shape.hr };
+  } else if (shape.type === 'polygon') {
+    return { 'type': 'polygon', 'points': shape.points };
+  } else if (shape.type === 'geodesic') {
+    return { 'type': 'geodesic', 'p': shape.dp1, 'q': shape.dp2 };
+  } else if (shape.type === 'horocycle') {
+    return { 'type': 'horocycle', 'ideal': shape.ideal, 'point': shape.point };
+  } else if (shape.type === 'hypercycle') {
+    return { 'type': 'hypercycle', 'p': shape.dp1, 'q': shape.dp2, 'distance': shape.distance };
+  } else if (shape.type === 'point') {
+    return { 'type': 'point', 'point': shape.point };
+  }
+  return { 'type': 'line', 'p': shape.dp1, 'q': shape.dp2 };
+}
+
+let deserialize_shape = function (data) {
+  if (data.type === 'circle') {
+    return make_circle(data.center, data.radius);
+  } else if (data.type === 'line') {
+    return make_line(data.p, data.q);
+  } else if (data.type === 'polygon') {
+    return make_polygon(data.points);
+  } else if (data.type === 'geodesic') {
+    return make_geodesic(data.p, data.q);
+  } else if (data.type === 'horocycle') {
+    return make_horocycle(data.ideal, data.point);
+  } else if (data.type === 'hypercycle') {
+    return make_hypercycle(data.p, data.q, data.distance);
+  } else if (data.type === 'point') {
+    return make_point(data.point);
+  }
+  throw new Error('Unknown shape type ' + data.type);
+}
+
+/**
+ * Builds the shapes of a saved scene.
+ * @param {Object} scene - A scene made by serialize_scene
+ * @returns {Object[]} - The shapes, in the order they were drawn
+ */
+let deserialize_scene = function (scene) {
+  if (scene.format !== SCENE_FORMAT) {
+    throw new Error('Not a scene file');
+  }
+  if (scene.version > SCENE_VERSION) {
+    throw new Error('Scene version ' + scene.version + ' is newer than this editor');
+  }
+  return scene.shapes.map(data => {
+    let shape = deserialize_shape(data);
+    if (data.color !== undefined) {
+      shape.color = data.color;
+    }
+    if (data.ghost) {
+      shape.ghost = true;
+    }
+    return shape;
+  });
+}
+
+// Replaces all the shapes at once, undoing it brings the previous scene back
+let scene_command = function (shapes) {
+  let previous = nodes.concat(lines, polygons, points);
+  let set_scene = function (scene) {
+    for (const list of [nodes, lines, polygons, points]) {
+      list.splice(0, list.length);
+    }
+    scene.forEach(shape => shape_list(shape).push(shape));
+    select_shape(null);
+  };
+  return {
+    'apply': () => set_scene(shapes),
+    'revert': () => set_scene(previous)
+  };
+}
+
+// Tells why the scene could not be kept or brought back, an empty text clears it
+let show_scene_hint = function (text) {
+  document.getElementById('scene-hint').textContent = text;
+}
+
+let autosave = function () {
+  try {
+    localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(serialize_scene()));
+    show_scene_hint('');
+  } catch (error) {
+    // Storage can be full or disabled, the scene just isn't kept then
+    show_scene_hint('The scene is not autosaved: ' + error.message);
+  }
+}
+
+let restore_autosave = function () {
+  let saved = null;
+  try {
+    saved = localStorage.getItem(AUTOSAVE_KEY);
+  } catch (error) {
+    show_scene_hint('The autosaved scene could not be read: ' + error.message);
+  }
+  if (saved === null) {
+    return;
+  }
+  try {
+    scene_command(deserialize_scene(JSON.parse(saved))).apply();
+  } catch (error) {
+    show_scene_hint('Could not restore the autosaved scene: ' + error.message);
+  }
+}
+
+let download = function (blob, filename) {
+  let link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * A standalone copy of the #render element, without the hover and preview helpers.
+ * @returns {string} - The SVG document
+ */
+let export_svg = function () {
+  // @ts-ignore
+  let copy = svg.node().cloneNode(true);
+  copy.querySelectorAll('.centers, .testline, .pin').forEach(d => d.remove());
+  // Styles from main.css don't travel with the file
+  copy.querySelectorAll('.lines').forEach(d => d.style.strokeWidth = '2px');
+  copy.setAttribute('width', poindisk.boundbox.width);
+  copy.setAttribute('height', poindisk.boundbox.height);
+  copy.setAttribute('viewBox', [0, 0, poindisk.boundbox.width, poindisk.boundbox.height].join(' '));
+  copy.removeAttribute('id');
+  copy.removeAttribute('class');
+  return new XMLSerializer().serializeToString(copy);
+}
+
+let export_png = function () {
+  let image = new Image();
+  let url = URL.createObjectURL(new Blob([export_svg()], { 'type': 'image/svg+xml' }));
+  image.onload = function () {
+    let canvas = document.createElement('canvas');
+    canvas.width = poindisk.boundbox.width;
+    canvas.height = poindisk.boundbox.height;
+    let context = canvas.getContext('2d');
+    context.fillStyle = 'white';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => download(blob, 'scene.png'));
+  };
+  image.src = url;
+}
+
+document.getElementById('save-scene').addEventListener('click', () => {
+  download(new Blob([JSON.stringify(serialize_scene(), null, 2)], { 'type': 'application/json' }), 'scene.json');
+});
+
+document.getElementById('load-scene').addEventListener('click', () => document.getElementById('scene-file').click());
+
+document.getElementById('scene-file').addEventListener('change', function () {
+  // @ts-ignore
+  let file = this.files[0];
+  if (file === undefined) {
+    return;
+  }
+  file.text()
+    .then(text => {
+      if (isometry_running()) {
+        throw new Error('an isometry is being applied, load it again when it has ended');
+      }
+      execute(scene_command(deserialize_scene(JSON.parse(text))));
+    })
+    .catch(error => alert('Could not load the scene: ' + error.message));
+  // @ts-ignore
+  this.value = '';
+});
+
+document.getElementById('export-svg').addEventListener('click', () => {
+  download(new Blob([export_svg()], { 'type': 'image/svg+xml' }), 'scene.svg');
+});
+
+document.getElementById('export-png').addEventListener('click', export_png);
+
+restore_autosave();
@@ -0,0 +1,181 @@
+/**
+ * @file This file has a spatial index answering nearest node and range queries with the hyperbolic distance.
+ */
+/**
+ * This module indexes points of the poincare disk in a d3.quadtree. Hyperbolic circles are Euclidean circles in the disk,
+ * so a query first collects the points in the Euclidean bounding box of the hyperbolic region and then checks them with {@link hyper_dist}.
+ * Isometries keep hyperbolic distances, so an index over layout positions stays valid when the view moves: map the query instead.
+ * @module spatial_index
+ */
+
+/**
+ * Euclidean circle in the disk made of the points within hyperbolic distance r of p.
+ * @param {NodeObject} p - Center inside the unit disk
+ * @param {number} r - Hyperbolic radius
+ * @returns {{'center': NodeObject, 'radius': number}} - Euclidean center and radius in poincare disk coordinates
+ */
+function hyperbolic_ball(p, r){
+  //The diameter through p meets the circle at hyperbolic distances d - r and d + r from the origin
+  let length = Math.hypot(p.x, p.y);
+  let d = hyper_radius_from_euclidean(length);
+  let near = r_poincare_to_euclid(d - r);
+  let far = r_poincare_to_euclid(d + r);
+  let theta = Math.atan2(p.y, p.x);
+  return {'center': polar_to_cart((near + far) / 2, theta), 'radius': (far - near) / 2};
+}
+
+/**
+ * Euclidean bounding box of the geodesic segment from p to q.
+ * The segment is an arc of its geodesic circle, which reaches past its ends only at the circle's leftmost, rightmost, top or bottom point.
+ * @param {NodeObject} p - Startpoint inside the unit disk
+ * @param {NodeObject} q - Endpoint inside the unit disk
+ * @returns {number[]} - [x0, y0, x1, y1] in poincare disk coordinates
+ */
+function geodesic_segment_bounds(p, q){
+  let points = [p, q];
+  let circle = geodesic_circle(p, q);
+  if (circle !== null){
+    let length = hyper_dist(p, q);
+    for (const e of [[1, 0], [-1, 0], [0, 1], [0, -1]].map(([x, y]) => ({'x': circle.cx + x * circle.r, 'y': circle.cy + y * circle.r}))){
+      if (Math.hypot(e.x, e.y) < 1 && hyper_dist(p, e) + hyper_dist(e, q) - length < 1e-9 * (1 + length)){
+        points.push(e);
+      }
+    }
+  }
+  return [d3.min(points, d => d.x), d3.min(points, d => d.y), d3.max(points, d => d.x), d3.max(points, d => d.y)];
+}
+
+/**
+ * Builds a spatial index over items placed in the poincare disk.
+ * @example let index = hyperbolic_index(nodes); index.withinRadius({x: 0, y: 0}, 1);
+ * @param {Object[]} items - The items to index.
+ * @param {function(Object): NodeObject} position - Gives the position of an item in poincare disk coordinates, by default its `disk`.
+ * @returns {HyperbolicIndex} - An object with the queries `nearest`, `withinRadius` and `inPolygon`, and `add`, `remove`, `update` and
+ * `rebuild` to keep the index in step with the items.
+ */
+function hyperbolic_index(items, position = d => d.disk){
+  //Items are kept at the position they were added with, so they can be found again after their position changed
+  let added = new Map();
+  let at = item => added.get(item);
+  let tree = d3.quadtree().x(d => at(d).x).y(d => at(d).y);
+
+  //Items whose position lies in the box, with the box tested against the quadtree cells
+  let inBox = (x0, y0, x1, y1) => {
+    let found = [];
+    tree.visit((cell, cx0, cy0, cx1, cy1) => {
+      if (!cell.length){
+        for (let leaf = cell; leaf; leaf = leaf.next){
+          let p = at(leaf.data);
+          if (p.x >= x0 && p.x <= x1 && p.y >= y0 && p.y <= y1){
+            found.push(leaf.data);
+          }
+        }
+      }
+      return cx0 > x1 || cx1 < x0 || cy0 > y1 || cy1 < y0;
+    });
+    return found;
+  };
+
+  let index = {
+    /**
+     * Adds items to the index, items that are already in it are moved to their current position.
+     * @param {Object[]} more - The items.
+     * @returns {HyperbolicIndex} - The index.
+     */
+    add(more){
+      index.remove(more);
+      for (const item of more){
+        added.set(item, {'x': position(item).x, 'y': position(item).y});
+        tree.add(item);
+      }
+      return index;
+    },
+    /**
+     * Removes items from the index.
+     * @param {Object[]} fewer - The items.
+     * @returns {HyperbolicIndex} - The index.
+     */
+    remove(fewer){
+      for (const item of fewer.filter(d => added.has(d))){
+        tree.remove(item);
+        added.delete(item);
+      }
+      return index;
+    },
+    /**
+     * Moves items whose position changed, the index keeps the positions the items had when they were added.
+     * @param {Object[]} moved - The items.
+     * @returns {HyperbolicIndex} - The index.
+     */
+    update(moved){
+      return index.add(moved);
+    },
+    /**
+     * Indexes the items again from scratch, cheaper than updating when most of them moved.
+     * @param {Object[]} all - All the items.
+     * @returns {HyperbolicIndex} - The index.
+     */
+    rebuild(all){
+      added = new Map();
+      tree = d3.quadtree().x(d => at(d).x).y(d => at(d).y);
+      return index.add(all);
+    },
+    /**
+     * The number of indexed items.
+     * @returns {number} - The size.
+     */
+    size(){
+      return added.size;
+    },
+    /**
+     * Items within hyperbolic distance r of a point, nearest first.
+     * @param {NodeObject} point - A point inside the unit disk.
+     * @param {number} r - The hyperbolic radius.
+     * @returns {Object[]} - The items.
+     */
+    withinRadius(point, r){
+      let ball = hyperbolic_ball(point, r);
+      let c = ball.center;
+      //A little slack keeps points on the circle, or at the point itself for r = 0, from being lost to rounding
+      let reach = ball.radius + 1e-12;
+      return inBox(c.x - reach, c.y - reach, c.x + reach, c.y + reach)
+        .map(item => ({'item': item, 'distance': hyper_dist(point, at(item))}))
+        .filter(d => d.distance <= r)
+        .sort((a, b) => a.distance - b.distance)
+        .map(d => d.item);
+    },
+    /**
+     * The item nearest to a point by hyperbolic distance. The Euclidean nearest item bounds the search radius.
+     * @param {NodeObject} point - A point inside the unit disk.
+     * @param {number} maxDistance - Only look this far, in hyperbolic distance.
+     * @returns {Object|null} - The item, or null when there is none close enough.
+     */
+    nearest(point, maxDistance = Infinity){
+      let guess = tree.find(point.x, point.y);
+      if (guess === undefined){
+        return null;
+      }
+      let bound = Math.min(hyper_dist(point, at(guess)), maxDistance);
+      let found = index.withinRadius(point, bound);
+      return found.length > 0 ? found[0] : null;
+    },
+    /**
+     * Items inside a polygon with geodesic sides. The polygon is a straight polygon in the Klein model, where it is tested.
+     * @param {NodeObject[]} vertices - Vertices of the polygon inside the unit disk, in order.
+     * @returns {Object[]} - The items.
+     */
+    inPolygon(vertices){
+      if (vertices.length < 3){
+        return [];
+      }
+      let bounds = vertices.map((v, i) => geodesic_segment_bounds(v, vertices[(i + 1) % vertices.length]));
+      let klein = vertices.map(v => poincare_to_klein(v)).map(k => [k.x, k.y]);
+      return inBox(d3.min(bounds, b => b[0]), d3.min(bounds, b => b[1]), d3.max(bounds, b => b[2]), d3.max(bounds, b => b[3]))
+        .filter(item => {
+          let k = poincare_to_klein(at(item));
+          return d3.polygonContains(klein, [k.x, k.y]);
+        });
+    }
+  };
+  return index.add(items);
+}
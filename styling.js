@@ -0,0 +1,171 @@
+/**
+ * @file This file maps node and edge attributes to colors and sizes, and draws legends for them.
+ */
+/**
+ * This module turns a style given as a constant, an attribute name or a function into a function of the node or edge.
+ * Attributes are mapped through d3 scales: numbers through a sequential scale, anything else through a categorical one.
+ * @module styling
+ */
+
+// Most categories listed in a legend
+const LEGEND_MAX_CATEGORIES = 10;
+// Width of the color bar and of the size samples in a legend
+const LEGEND_WIDTH = 120;
+
+/**
+ * Builds the accessor of a style channel.
+ * @example style_accessor('community', nodes, 'color').value(nodes[0]) // the color of the first node's community
+ * @param {*} spec - A constant, the name of an attribute of the items, a function of the item,
+ * or `{field, scale, range, domain, interpolator}` to pick the scale ('categorical' or 'sequential') and its settings.
+ * @param {Object[]} items - The nodes or edges, the domain of the scale is read from them.
+ * @param {string} kind - 'color' for colors, 'size' for lengths.
+ * @param {number[]} range - Smallest and largest size, used for 'size' channels.
+ * @returns {{'value': function(Object): *, 'legend': Object|null}} - The accessor, and what a legend needs to explain it
+ * when the style comes from an attribute.
+ */
+function style_accessor(spec, items, kind, range = [0, 1]){
+  if (typeof spec === 'function'){
+    return {'value': spec, 'legend': null};
+  }
+  let options = spec !== null && typeof spec === 'object' ? spec : {};
+  let field = options.field;
+  if (field === undefined && typeof spec === 'string' && items.some(d => d[spec] !== undefined)){
+    field = spec;
+  }
+  if (field === undefined){
+    return {'value': () => spec, 'legend': null};
+  }
+
+  let values = items.map(d => d[field]).filter(v => v !== undefined && v !== null && v !== '');
+  //Colors stored on the items, like the random `color` of generated nodes, are used as they are
+  if (kind === 'color' && options.scale === undefined && values.length > 0 && values.every(v => typeof v === 'string' && d3.color(v) !== null)){
+    return {'value': d => d[field] === undefined ? 'lightgrey' : d[field], 'legend': null};
+  }
+  let numeric = values.length > 0 && values.every(v => !isNaN(Number(v)));
+  let type = options.scale === undefined ? (numeric ? 'sequential' : 'categorical') : options.scale;
+  let scale;
+  if (type === 'sequential'){
+    let domain = options.domain === undefined ? d3.extent(values, Number) : options.domain;
+    scale = kind === 'color'
+      ? d3.scaleSequential(options.interpolator === undefined ? d3.interpolateViridis : options.interpolator).domain(domain)
+      : d3.scaleLinear().domain(domain).range(options.range === undefined ? range : options.range);
+  }
+  else {
+    let domain = options.domain === undefined ? Array.from(new Set(values)).sort(d3.ascending) : options.domain;
+    scale = kind === 'color'
+      ? d3.scaleOrdinal(options.range === undefined ? d3.schemeTableau10 : options.range).domain(domain)
+      : d3.scalePoint().domain(domain).range(options.range === undefined ? range : options.range);
+  }
+  let missing = kind === 'color' ? 'lightgrey' : scale.range()[0];
+  let value = d => {
+    let v = d[field];
+    if (v === undefined || v === null || v === ''){
+      return missing;
+    }
+    let mapped = scale(type === 'sequential' ? Number(v) : v);
+    return mapped === undefined ? missing : mapped;
+  };
+  return {'value': value, 'legend': {'title': field, 'kind': kind, 'type': type, 'scale': scale}};
+}
+
+/**
+ * Draws legends for styles mapped from attributes, one under the other.
+ * Categorical colors are listed with a swatch each, sequential colors get a color bar, sizes show their smallest and largest value.
+ * @param {d3.Selection} layer - The svg group holding the legends, placed where they should start.
+ * @param {{legend: Object, label: string, shape: string}[]} entries - Legends from {@link style_accessor}, what they style,
+ * e.g. 'node color', and the shape of the size samples, 'circle' or 'line'.
+ * @param {function(Object): number} toPixels - Turns a size of a 'size' legend into pixels.
+ * @param {string} idPrefix - Starts the ids of the color bar gradients, so that legends drawn in the same page don't share them.
+ */
+function draw_legend(layer, entries, toPixels = size => size, idPrefix = ''){
+  layer.selectAll('*').remove();
+  let y = 0;
+  entries.forEach((entry, i) => {
+    let legend = entry.legend;
+    let group = layer.append('g')
+      .attr('class', 'legend-entry')
+      .attr('transform', 'translate(0,' + y + ')')
+      .style('font', '11px sans-serif');
+    group.append('text')
+      .attr('y', 0)
+      .attr('dominant-baseline', 'hanging')
+      .style('font-weight', 'bold')
+      .text(entry.label + ': ' + legend.title);
+    let top = 16;
+    if (legend.kind === 'color' && legend.type === 'categorical'){
+      let domain = legend.scale.domain();
+      let shown = domain.slice(0, LEGEND_MAX_CATEGORIES);
+      shown.forEach((category, j) => {
+        group.append('rect')
+          .attr('x', 0)
+          .attr('y', top + 14 * j)
+          .attr('width', 10)
+          .attr('height', 10)
+          .style('fill', legend.scale(category));
+        group.append('text')
+          .attr('x', 14)
+          .attr('y', top + 14 * j + 5)
+          .attr('dominant-baseline', 'middle')
+          .text(category);
+      });
+      top += 14 * shown.length;
+      if (domain.length > shown.length){
+        group.append('text')
+          .attr('y', top + 5)
+          .attr('dominant-baseline', 'middle')
+          .text('… ' + (domain.length - shown.length) + ' more');
+        top += 14;
+      }
+    }
+    else if (legend.kind === 'color'){
+      let id = idPrefix + 'legend-gradient-' + i;
+      let [lo, hi] = legend.scale.domain();
+      layer.append('defs').append('linearGradient')
+        .attr('id', id)
+        .selectAll('stop')
+        .data(d3.range(0, 1.01, 0.1))
+        .join('stop')
+        .attr('offset', t => t * 100 + '%')
+        .attr('stop-color', t => legend.scale(lo + t * (hi - lo)));
+      group.append('rect')
+        .attr('y', top)
+        .attr('width', LEGEND_WIDTH)
+        .attr('height', 10)
+        .style('fill', 'url(#' + id + ')');
+      group.append('text').attr('y', top + 22).text(d3.format('~g')(lo));
+      group.append('text').attr('x', LEGEND_WIDTH).attr('y', top + 22).attr('text-anchor', 'end').text(d3.format('~g')(hi));
+      top += 28;
+    }
+    else {
+      let domain = legend.scale.domain();
+      [domain[0], domain[domain.length - 1]].forEach((end, j) => {
+        let pixels = toPixels(legend.scale(end));
+        let x = j * LEGEND_WIDTH / 2;
+        if (entry.shape === 'line'){
+          group.append('line')
+            .attr('x1', x)
+            .attr('x2', x + 20)
+            .attr('y1', top + 8)
+            .attr('y2', top + 8)
+            .style('stroke', 'black')
+            .style('stroke-width', pixels);
+        }
+        else {
+          group.append('circle')
+            .attr('cx', x + 8)
+            .attr('cy', top + 8)
+            .attr('r', Math.min(pixels, 8))
+            .style('fill', 'none')
+            .style('stroke', 'black');
+        }
+        group.append('text')
+          .attr('x', x + 24)
+          .attr('y', top + 8)
+          .attr('dominant-baseline', 'middle')
+          .text(typeof end === 'number' ? d3.format('~g')(end) : end);
+      });
+      top += 20;
+    }
+    y += top + 10;
+  });
+}
@@ -0,0 +1,173 @@
+/**
+ * @file This file generates and draws regular tilings of the hyperbolic plane.
+ */
+/**
+ * This module builds regular {p,q} tilings of the poincare disk, where regular p-gons meet q at every vertex.
+ * The tiles are found by reflecting the central polygon across its sides, then the new tiles across theirs, and so on.
+ * @module tessellation
+ */
+
+/**
+ * Reads the Schläfli symbol of a tiling.
+ * @example parse_tiling_symbol('{7,3}') // {p: 7, q: 3}
+ * @param {string|number[]} symbol - '{p,q}', 'p,q' or [p, q]
+ * @returns {{'p': number, 'q': number}} - Number of sides of a tile and number of tiles around a vertex.
+ */
+function parse_tiling_symbol(symbol){
+  let numbers = Array.isArray(symbol) ? symbol : String(symbol).replace(/[{}\s]/g, '').split(',');
+  let p = Number(numbers[0]);
+  let q = Number(numbers[1]);
+  if (numbers.length !== 2 || !Number.isInteger(p) || !Number.isInteger(q)){
+    throw new Error('Tilings are given as {p,q}, got ' + symbol);
+  }
+  return {'p': p, 'q': q};
+}
+
+/**
+ * Euclidean radius in the poincare disk of the vertices of the central tile of a {p,q} tiling.
+ * The hyperbolic distance R from the center of a tile to its vertices solves cosh(R) = cot(π/p)·cot(π/q).
+ * @param {number} p - Number of sides of a tile.
+ * @param {number} q - Number of tiles around a vertex.
+ * @returns {number} - Distance of the vertices from the origin.
+ */
+function tiling_vertex_radius(p, q){
+  if ((p - 2) * (q - 2) <= 4){
+    throw new Error('{' + p + ',' + q + '} does not tile the hyperbolic plane, it needs (p-2)(q-2) > 4');
+  }
+  return r_poincare_to_euclid(Math.acosh(1 / (Math.tan(Math.PI / p) * Math.tan(Math.PI / q))));
+}
+
+/**
+ * Euclidean size of a tile in the disk, the diameter of the circle around its center holding its vertices.
+ * @param {TileObject} tile - A tile made by {@link regular_tiling}.
+ * @returns {number} - Size of the tile in poincare disk coordinates.
+ */
+function tile_size(tile){
+  return 2 * d3.max(tile.vertices, v => euclid_dist(v, tile.center));
+}
+
+/**
+ * Tells whether a point lies in a tile, on the same side of every side of the tile as its center.
+ * @param {TileObject} tile - A tile made by {@link regular_tiling}.
+ * @param {NodeObject} z - A point inside the unit disk.
+ * @returns {boolean} - True when the point is in the tile.
+ */
+function tile_contains(tile, z){
+  let p = tile.vertices.length;
+  return d3.range(p).every(i => {
+    let a = tile.vertices[i];
+    let b = tile.vertices[(i + 1) % p];
+    let circle = geodesic_circle(a, b);
+    //Sides through the origin are diameters, the others split the disk into the inside and the outside of their circle
+    let side = circle === null
+      ? x => (b.x - a.x) * (x.y - a.y) - (b.y - a.y) * (x.x - a.x) > 0
+      : x => euclid_dist(x, {'x': circle.cx, 'y': circle.cy}) < circle.r;
+    return side(z) === side(tile.center);
+  });
+}
+
+/**
+ * Reflects a tile across one of its sides, giving the neighbouring tile.
+ * @param {TileObject} tile - The tile to reflect.
+ * @param {number} side - Index of the side, running from vertex `side` to the next one.
+ * @returns {TileObject} - The neighbour across that side.
+ */
+function reflect_tile(tile, side){
+  let a = tile.vertices[side];
+  let b = tile.vertices[(side + 1) % tile.vertices.length];
+  return {
+    // A reflection turns the polygon over, reversing keeps the vertices running the same way round
+    'vertices': tile.vertices.map(v => geodesic_reflection(v, a, b)).reverse(),
+    'center': geodesic_reflection(tile.center, a, b),
+    'parity': 1 - tile.parity,
+    'depth': tile.depth + 1
+  };
+}
+
+/**
+ * Generates the tiles of a regular {p,q} tiling, nearest tiles first.
+ * The central tile is centered on the origin, or on the image of the origin under `transform`. Tiling then starts from the tile
+ * holding the origin, so a moved tiling still fills the disk around its center.
+ * @param {number} p - Number of sides of a tile.
+ * @param {number} q - Number of tiles around a vertex.
+ * @param {{depth: number, minSize: number, transform: MobiusObject}} options - Number of reflections away from the first tile,
+ * the smallest Euclidean tile size in the disk that is still kept, and a disk automorphism moving the whole tiling.
+ * @returns {TileObject[]} - Tiles with their `vertices` and `center` in poincare disk coordinates, their `depth` and their `parity`,
+ * the number of reflections from the first tile modulo 2.
+ */
+function regular_tiling(p, q, options = {}){
+  let depth = options.depth === undefined ? 6 : options.depth;
+  let minSize = options.minSize === undefined ? 0 : options.minSize;
+  let transform = options.transform === undefined ? mobius_translation({'x': 0, 'y': 0}) : options.transform;
+  let radius = tiling_vertex_radius(p, q);
+
+  let first = {
+    'vertices': d3.range(p).map(i => mobius_apply(transform, polar_to_cart(radius, Math.PI / 2 + 2 * Math.PI * i / p))),
+    'center': mobius_apply(transform, {'x': 0, 'y': 0}),
+    'parity': 0,
+    'depth': 0
+  };
+  //The origin is outside of every geodesic circle, so a tile whose center is inside one lies across that side from the origin
+  for (let step = 0; step < 1000; step++){
+    let side = d3.range(p).find(i => {
+      let circle = geodesic_circle(first.vertices[i], first.vertices[(i + 1) % p]);
+      return circle !== null && euclid_dist(first.center, {'x': circle.cx, 'y': circle.cy}) < circle.r;
+    });
+    if (side === undefined){
+      break;
+    }
+    first = reflect_tile(first, side);
+    first.depth = 0;
+  }
+
+  //Tiles reached along different paths are the same when their centers match
+  let key = c => Math.round(c.x * 1e6) + ',' + Math.round(c.y * 1e6);
+  let seen = new Set([key(first.center)]);
+  let tiles = [first];
+  for (let i = 0; i < tiles.length; i++){
+    if (tiles[i].depth >= depth){
+      continue;
+    }
+    for (let side = 0; side < p; side++){
+      let next = reflect_tile(tiles[i], side);
+      if (seen.has(key(next.center))){
+        continue;
+      }
+      seen.add(key(next.center));
+      if (tile_size(next) >= minSize){
+        tiles.push(next);
+      }
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Default tile colors, neighbouring tiles are reflections of each other and get different colors when q is even.
+ * @param {TileObject} tile - A tile made by {@link regular_tiling}.
+ * @returns {string} - The fill color.
+ */
+function tiling_parity_fill(tile){
+  return tile.parity === 0 ? 'whitesmoke' : 'lightsteelblue';
+}
+
+/**
+ * Draws tiles as filled paths into a layer, updating the paths already there.
+ * @param {d3.Selection} layer - The svg group holding the tiles.
+ * @param {TileObject[]} tiles - Tiles made by {@link regular_tiling}.
+ * @param {function(NodeObject[]): string} pathOf - Gives the svg path of the polygon with the given vertices, e.g. {@link geodesic_polygon_path}.
+ * @param {{fill: (string|function(TileObject, number): string), stroke: string}} options - Color of every tile, or a function of the tile
+ * and its index, and the color of the sides.
+ */
+function draw_tiling(layer, tiles, pathOf, options = {}){
+  let fill = options.fill === undefined ? tiling_parity_fill : options.fill;
+  let stroke = options.stroke === undefined ? 'grey' : options.stroke;
+  layer.selectAll('path.tile')
+    .data(tiles)
+    .join('path')
+    .attr('class', 'tile')
+    .attr('d', d => pathOf(d.vertices))
+    .style('fill', fill)
+    .style('stroke', stroke)
+    .style('stroke-width', '0.5px');
+}
@@ -6,36 +6,689 @@
  * This module is a collection of utility functions for convenience.
  * @module utils
  */
+
+// Graphviz attributes that are read as numbers
+const DOT_NUMERIC_ATTRIBUTES = ['penwidth', 'weight', 'width', 'height', 'fontsize', 'arrowsize'];
+
+/**
+ * Splits a graphviz dot format string into tokens.
+ * Comments and preprocessor lines are dropped, quoted strings are unescaped and joined with `+`, HTML strings keep their inner markup.
+ * @param {string} dotfile The dot format string to read from.
+ * @returns {{type: string, value: string, line: number}[]} - The tokens, of type `id`, `edgeop` or the punctuation itself.
+ */
+let tokenizeDot = dotfile => {
+  let tokens = [];
+  let i = 0;
+  let line = 1;
+  let atLineStart = true;
+  let error = message => new Error('DOT syntax error on line ' + line + ': ' + message);
+
+  while (i < dotfile.length) {
+    let c = dotfile[i];
+    if (c === '\n') {
+      line++;
+      i++;
+      atLineStart = true;
+      continue;
+    }
+    if (/\s/.test(c)) {
+      i++;
+      continue;
+    }
+    if (c === '#' && atLineStart) {
+      // Lines starting with # are C preprocessor output
+      while (i < dotfile.length && dotfile[i] !== '\n') i++;
+      continue;
+    }
+    atLineStart = false;
+
+    if (c === '/' && dotfile[i + 1] === '/') {
+      while (i < dotfile.length && dotfile[i] !== '\n') i++;
+    }
+    else if (c === '/' && dotfile[i + 1] === '*') {
+      let end = dotfile.indexOf('*/', i + 2);
+      if (end === -1) {
+        throw error('unterminated comment');
+      }
+      line += (dotfile.slice(i, end).match(/\n/g) || []).length;
+      i = end + 2;
+    }
+    else if (c === '-' && (dotfile[i + 1] === '-' || dotfile[i + 1] === '>')) {
+      tokens.push({ type: 'edgeop', value: dotfile.slice(i, i + 2), line: line });
+      i += 2;
+    }
+    else if ('{}[]=;,:'.includes(c)) {
+      tokens.push({ type: c, value: c, line: line });
+      i++;
+    }
+    else if (c === '"') {
+      let value = '';
+      i++;
+      while (dotfile[i] !== '"') {
+        if (i >= dotfile.length) {
+          throw error('unterminated string');
+        }
+        if (dotfile[i] === '\\' && dotfile[i + 1] === '"') {
+          value += '"';
+          i += 2;
+        }
+        else if (dotfile[i] === '\\' && dotfile[i + 1] === '\n') {
+          // Line continuation
+          line++;
+          i += 2;
+        }
+        else {
+          if (dotfile[i] === '\n') line++;
+          value += dotfile[i];
+          i++;
+        }
+      }
+      i++;
+      let previous = tokens[tokens.length - 1];
+      if (previous && previous.type === '+') {
+        // "a" + "b" is a single string
+        tokens.pop();
+        tokens[tokens.length - 1].value += value;
+      }
+      else {
+        tokens.push({ type: 'id', value: value, line: line, quoted: true });
+      }
+    }
+    else if (c === '+') {
+      tokens.push({ type: '+', value: c, line: line });
+      i++;
+    }
+    else if (c === '<') {
+      let depth = 0;
+      let start = i;
+      do {
+        if (i >= dotfile.length) {
+          throw error('unterminated HTML string');
+        }
+        if (dotfile[i] === '<') depth++;
+        else if (dotfile[i] === '>') depth--;
+        else if (dotfile[i] === '\n') line++;
+        i++;
+      } while (depth > 0);
+      tokens.push({ type: 'id', value: dotfile.slice(start + 1, i - 1), line: line, html: true });
+    }
+    else {
+      let match = /^(-?(\.[0-9]+|[0-9]+(\.[0-9]*)?)|[A-Za-z_\u0080-\uffff][A-Za-z_0-9\u0080-\uffff]*)/.exec(dotfile.slice(i));
+      if (match === null) {
+        throw error('unexpected character ' + c);
+      }
+      tokens.push({ type: 'id', value: match[0], line: line });
+      i += match[0].length;
+    }
+  }
+  return tokens;
+}
+
 /**
  * Reads the graph from graphviz dot format string and returns it.
+ * Supports graph and digraph, edge chains, subgraphs and clusters, default `graph`/`node`/`edge` attributes, and quoted and HTML ids.
+ * Nodes only named in edges are created with the defaults in effect. Every node and edge keeps its attributes, `fillcolor` becomes
+ * the node `color` and numeric attributes such as `penwidth` are read as numbers. Nodes inside a subgraph named `cluster...` get its id as `cluster`.
  * @param {string} dotfile The dot format string to read from.
  * @returns {Graph} - A graph object.
  */
 let readDot = dotfile => {
-  let absGraph = parse(dotfile);
-  let items = absGraph[0].children;
-  console.log(items);
-  let graph = { nodes: [], edges: [] };
-  for(let i = 0; i < items.length; i++) { 
-    if(items[i].type === 'node_stmt') {
-      let node = { id: items[i].node_id.id };
-      for(let j = 0; j < items[i].attr_list.length; j++) {
-        node[items[i].attr_list[j].id] = items[i].attr_list[j].eq;
+  let tokens = tokenizeDot(dotfile);
+  let position = 0;
+  let graph = { nodes: [], edges: [], directed: false, name: null, attributes: {} };
+  let nodeById = new Map();
+
+  let peek = (offset = 0) => tokens[position + offset];
+  let error = message => {
+    let token = peek() || tokens[tokens.length - 1];
+    return new Error('DOT syntax error on line ' + (token ? token.line : 1) + ': ' + message);
+  };
+  let isKeyword = (token, keyword) => token !== undefined && token.type === 'id' && !token.quoted && !token.html && token.value.toLowerCase() === keyword;
+  let accept = type => {
+    if (peek() !== undefined && peek().type === type) {
+      return tokens[position++];
+    }
+    return null;
+  };
+  let expect = type => {
+    let token = accept(type);
+    if (token === null) {
+      throw error('expected ' + type + (peek() ? ' but found ' + peek().value : ' but the input ended'));
+    }
+    return token;
+  };
+
+  let setAttributes = (target, attributes) => {
+    for (const [key, value] of Object.entries(attributes)) {
+      target[key] = DOT_NUMERIC_ATTRIBUTES.includes(key) && value !== '' && !isNaN(Number(value)) ? Number(value) : value;
+    }
+    if (attributes.fillcolor !== undefined) {
+      target.color = attributes.fillcolor;
+    }
+  };
+
+  let parseAttributeList = () => {
+    let attributes = {};
+    while (accept('[')) {
+      while (!accept(']')) {
+        let key = expect('id').value;
+        attributes[key] = accept('=') ? expect('id').value : 'true';
+        accept(',') || accept(';');
+      }
+    }
+    return attributes;
+  };
+
+  let getNode = (id, scope) => {
+    let node = nodeById.get(id);
+    if (node === undefined) {
+      node = { id: id };
+      setAttributes(node, scope.node);
+      if (scope.cluster !== null) {
+        node.cluster = scope.cluster;
       }
+      nodeById.set(id, node);
       graph.nodes.push(node);
     }
-    else if(items[i].type === 'edge_stmt') {
-      let edge = {
-        source: items[i].edge_list[0].id,
-        target: items[i].edge_list[1].id
-      };
-      for(let j = 0; j < items[i].attr_list.length; j++) {
-        edge[items[i].attr_list[j].id] = items[i].attr_list[j].eq;
+    return node;
+  };
+
+  let parseNodeId = () => {
+    let id = expect('id').value;
+    // Ports don't change which node is meant
+    if (accept(':')) {
+      expect('id');
+      if (accept(':')) {
+        expect('id');
+      }
+    }
+    return id;
+  };
+
+  // A subgraph returns the nodes it contains, so it can be one end of an edge
+  let parseSubgraph = scope => {
+    let id = null;
+    if (isKeyword(peek(), 'subgraph')) {
+      position++;
+      if (peek() && peek().type === 'id') {
+        id = expect('id').value;
+      }
+    }
+    // Attributes of subgraphs are not kept, only those of the graph itself
+    let inner = {
+      graph: {},
+      node: Object.assign({}, scope.node),
+      edge: Object.assign({}, scope.edge),
+      cluster: id !== null && id.startsWith('cluster') ? id : scope.cluster,
+      members: new Set()
+    };
+    if (peek() === undefined || peek().type !== '{') {
+      // "subgraph name" alone refers to the subgraph, there is nothing more to read
+      return inner.members;
+    }
+    parseStatements(inner);
+    for (const node of inner.members) {
+      scope.members.add(node);
+    }
+    return inner.members;
+  };
+
+  let parseOperand = scope => {
+    if (isKeyword(peek(), 'subgraph') || (peek() && peek().type === '{')) {
+      return [...parseSubgraph(scope)];
+    }
+    let node = getNode(parseNodeId(), scope);
+    scope.members.add(node);
+    return [node];
+  };
+
+  let parseStatement = scope => {
+    let token = peek();
+    if ((isKeyword(token, 'graph') || isKeyword(token, 'node') || isKeyword(token, 'edge')) && peek(1) && peek(1).type === '[') {
+      position++;
+      let attributes = parseAttributeList();
+      let kind = token.value.toLowerCase();
+      if (kind === 'graph') {
+        setAttributes(scope.graph, attributes);
+      }
+      else {
+        Object.assign(scope[kind], attributes);
+      }
+      return;
+    }
+    if (token.type === 'id' && peek(1) && peek(1).type === '=') {
+      position += 2;
+      setAttributes(scope.graph, { [token.value]: expect('id').value });
+      return;
+    }
+
+    let operands = [parseOperand(scope)];
+    while (peek() && peek().type === 'edgeop') {
+      let op = expect('edgeop').value;
+      if ((op === '->') !== graph.directed) {
+        throw error('edge operator ' + op + ' in a ' + (graph.directed ? 'digraph' : 'graph'));
+      }
+      operands.push(parseOperand(scope));
+    }
+    let attributes = parseAttributeList();
+
+    if (operands.length === 1) {
+      for (const node of operands[0]) {
+        setAttributes(node, attributes);
+      }
+      return;
+    }
+    // a -> b -> c is the edges a -> b and b -> c, a subgraph at an end connects all of its nodes
+    for (let i = 0; i + 1 < operands.length; i++) {
+      for (const source of operands[i]) {
+        for (const target of operands[i + 1]) {
+          let edge = { source: source.id, target: target.id };
+          setAttributes(edge, Object.assign({}, scope.edge, attributes));
+          graph.edges.push(edge);
+        }
+      }
+    }
+  };
+
+  let parseStatements = scope => {
+    expect('{');
+    while (!accept('}')) {
+      if (peek() === undefined) {
+        throw error('missing }');
       }
-      graph.edges.push(edge);
+      parseStatement(scope);
+      accept(';');
     }
+  };
+
+  if (isKeyword(peek(), 'strict')) {
+    position++;
+  }
+  if (isKeyword(peek(), 'digraph')) {
+    graph.directed = true;
+  }
+  else if (!isKeyword(peek(), 'graph')) {
+    throw error('expected graph or digraph');
+  }
+  position++;
+  if (peek() && peek().type === 'id') {
+    graph.name = expect('id').value;
+  }
+  parseStatements({ graph: graph.attributes, node: {}, edge: {}, cluster: null, members: new Set() });
+
+  return graph;
+}
+
+// Node attributes holding the hyperbolic layout in the exchange formats, in poincare disk coordinates
+const LAYOUT_ATTRIBUTES = { x: 'poincare_x', y: 'poincare_y' };
+// Attributes d3.forceSimulation and the renderer write to the nodes and edges, they are not data
+const COMPUTED_ATTRIBUTES = ['index', 'vx', 'vy', 'fx', 'fy', 'path'];
+
+/**
+ * The attributes of a node or an edge that are written to a file: its plain values, without the ones the renderer computes.
+ * The layout of a node is added as `poincare_x` and `poincare_y`.
+ * @param {Object} item A node or an edge.
+ * @param {string[]} skip Attributes written elsewhere, like ids.
+ * @returns {Object} - The attribute names and values.
+ */
+let exportedAttributes = (item, skip) => {
+  let attributes = {};
+  for (const [key, value] of Object.entries(item)) {
+    if (skip.includes(key) || COMPUTED_ATTRIBUTES.includes(key) || Object.values(LAYOUT_ATTRIBUTES).includes(key)) {
+      continue;
+    }
+    if (['string', 'number', 'boolean'].includes(typeof value)) {
+      attributes[key] = value;
+    }
+  }
+  if (item.disk !== undefined) {
+    attributes[LAYOUT_ATTRIBUTES.x] = item.disk.x;
+    attributes[LAYOUT_ATTRIBUTES.y] = item.disk.y;
   }
-  console.log(graph);
+  return attributes;
+}
 
+/**
+ * Turns the `poincare_x` and `poincare_y` attributes of read nodes back into their `disk` position, so the layout is not computed again.
+ * @param {Graph} graph A graph object.
+ * @returns {Graph} - The same graph.
+ */
+let importLayout = graph => {
+  for (const node of graph.nodes) {
+    let x = Number(node[LAYOUT_ATTRIBUTES.x]);
+    let y = Number(node[LAYOUT_ATTRIBUTES.y]);
+    if (node[LAYOUT_ATTRIBUTES.x] !== undefined && Number.isFinite(x) && Number.isFinite(y)) {
+      node.disk = { x: x, y: y };
+    }
+    delete node[LAYOUT_ATTRIBUTES.x];
+    delete node[LAYOUT_ATTRIBUTES.y];
+  }
   return graph;
 }
+
+let edgeEndId = end => typeof end === 'object' ? end.id : end;
+
+let escapeXml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+let parseXml = (text, format) => {
+  let xml = new DOMParser().parseFromString(text, 'application/xml');
+  if (xml.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The ' + format + ' file is not valid XML');
+  }
+  return xml;
+}
+
+// Child elements with a local name, so namespace prefixes and nested graphs don't get in the way
+let childElements = (parent, localName) => parent === undefined || parent === null ? [] : Array.from(parent.children).filter(d => d.localName === localName);
+
+/**
+ * Reads the graph from a GraphML string (as written by NetworkX, yEd or {@link writeGraphML}) and returns it.
+ * Data values are converted with the type of their key, keys without a value on an element use their default.
+ * @param {string} text The GraphML string to read from.
+ * @returns {Graph} - A graph object.
+ */
+let readGraphML = text => {
+  let root = parseXml(text, 'GraphML').documentElement;
+  let graphElement = childElements(root, 'graph')[0];
+  if (graphElement === undefined) {
+    throw new Error('The GraphML file has no graph');
+  }
+  let keys = new Map();
+  for (const key of childElements(root, 'key')) {
+    let type = key.getAttribute('attr.type') || 'string';
+    let convert = value => {
+      if (['int', 'long', 'float', 'double'].includes(type)) return Number(value);
+      if (type === 'boolean') return value.trim().toLowerCase() === 'true';
+      return value;
+    };
+    let defaultElement = childElements(key, 'default')[0];
+    keys.set(key.getAttribute('id'), {
+      name: key.getAttribute('attr.name') || key.getAttribute('id'),
+      for: key.getAttribute('for') || 'all',
+      convert: convert,
+      default: defaultElement === undefined ? undefined : convert(defaultElement.textContent)
+    });
+  }
+  let readData = (element, kind, item) => {
+    for (const key of keys.values()) {
+      if ((key.for === kind || key.for === 'all') && key.default !== undefined) {
+        item[key.name] = key.default;
+      }
+    }
+    for (const data of childElements(element, 'data')) {
+      let key = keys.get(data.getAttribute('key'));
+      if (key !== undefined) {
+        item[key.name] = key.convert(data.textContent);
+      }
+    }
+    return item;
+  };
+
+  let directed = graphElement.getAttribute('edgedefault') === 'directed';
+  let graph = { nodes: [], edges: [], directed: directed, name: graphElement.getAttribute('id'), attributes: readData(graphElement, 'graph', {}) };
+  for (const node of childElements(graphElement, 'node')) {
+    graph.nodes.push(readData(node, 'node', { id: node.getAttribute('id') }));
+  }
+  for (const edge of childElements(graphElement, 'edge')) {
+    let item = { source: edge.getAttribute('source'), target: edge.getAttribute('target') };
+    if (edge.hasAttribute('id')) {
+      item.id = edge.getAttribute('id');
+    }
+    graph.edges.push(readData(edge, 'edge', item));
+  }
+  return importLayout(graph);
+}
+
+/**
+ * Writes a graph, with the hyperbolic layout of its nodes, as a GraphML string.
+ * @param {Graph} graph A graph object.
+ * @returns {string} - The GraphML document.
+ */
+let writeGraphML = graph => {
+  let nodes = graph.nodes.map(d => ({ id: d.id, attributes: exportedAttributes(d, ['id']) }));
+  let edges = graph.edges.map(d => ({ item: d, attributes: exportedAttributes(d, ['id', 'source', 'target']) }));
+  let keys = [];
+  let keyIds = { node: new Map(), edge: new Map() };
+  for (const [kind, items] of [['node', nodes], ['edge', edges]]) {
+    for (const item of items) {
+      for (const [name, value] of Object.entries(item.attributes)) {
+        let key = keyIds[kind].get(name);
+        if (key === undefined) {
+          key = { id: 'd' + keys.length, kind: kind, name: name, types: new Set() };
+          keyIds[kind].set(name, key);
+          keys.push(key);
+        }
+        key.types.add(typeof value === 'number' ? (Number.isInteger(value) ? 'long' : 'double') : typeof value);
+      }
+    }
+  }
+  let keyType = key => {
+    if (key.types.size === 1 && key.types.has('boolean')) return 'boolean';
+    if ([...key.types].every(t => t === 'long')) return 'long';
+    if ([...key.types].every(t => t === 'long' || t === 'double')) return 'double';
+    return 'string';
+  };
+  let data = (kind, attributes) => Object.entries(attributes)
+    .map(([name, value]) => '<data key="' + keyIds[kind].get(name).id + '">' + escapeXml(value) + '</data>')
+    .join('');
+
+  let lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">'];
+  for (const key of keys) {
+    lines.push('  <key id="' + key.id + '" for="' + key.kind + '" attr.name="' + escapeXml(key.name) + '" attr.type="' + keyType(key) + '"/>');
+  }
+  lines.push('  <graph id="' + escapeXml(graph.name || 'G') + '" edgedefault="' + (graph.directed ? 'directed' : 'undirected') + '">');
+  for (const node of nodes) {
+    lines.push('    <node id="' + escapeXml(node.id) + '">' + data('node', node.attributes) + '</node>');
+  }
+  for (const edge of edges) {
+    let id = edge.item.id === undefined ? '' : ' id="' + escapeXml(edge.item.id) + '"';
+    lines.push('    <edge' + id + ' source="' + escapeXml(edgeEndId(edge.item.source)) + '" target="' + escapeXml(edgeEndId(edge.item.target)) + '">' + data('edge', edge.attributes) + '</edge>');
+  }
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n');
+}
+
+/**
+ * Reads the graph from a GEXF string (as written by Gephi or {@link writeGEXF}) and returns it.
+ * Attribute values are named by their title. `viz:color` becomes the `color` of nodes and edges, `viz:position` the `x` and `y`
+ * of nodes, `viz:size` their `size` and `viz:thickness` the `penwidth` of edges.
+ * @param {string} text The GEXF string to read from.
+ * @returns {Graph} - A graph object.
+ */
+let readGEXF = text => {
+  let root = parseXml(text, 'GEXF').documentElement;
+  let graphElement = childElements(root, 'graph')[0];
+  if (graphElement === undefined) {
+    throw new Error('The GEXF file has no graph');
+  }
+  let attributes = { node: new Map(), edge: new Map() };
+  for (const group of childElements(graphElement, 'attributes')) {
+    let kind = group.getAttribute('class') === 'edge' ? 'edge' : 'node';
+    for (const attribute of childElements(group, 'attribute')) {
+      let type = attribute.getAttribute('type') || 'string';
+      let defaultElement = childElements(attribute, 'default')[0];
+      attributes[kind].set(attribute.getAttribute('id'), {
+        title: attribute.getAttribute('title') || attribute.getAttribute('id'),
+        type: type,
+        default: defaultElement === undefined ? undefined : defaultElement.textContent
+      });
+    }
+  }
+  let convert = (type, value) => {
+    if (['integer', 'long', 'float', 'double'].includes(type)) return Number(value);
+    if (type === 'boolean') return value.trim().toLowerCase() === 'true';
+    return value;
+  };
+  let readAttributes = (element, kind, item) => {
+    for (const attribute of attributes[kind].values()) {
+      if (attribute.default !== undefined) {
+        item[attribute.title] = convert(attribute.type, attribute.default);
+      }
+    }
+    for (const values of childElements(element, 'attvalues')) {
+      for (const value of childElements(values, 'attvalue')) {
+        let attribute = attributes[kind].get(value.getAttribute('for') || value.getAttribute('id'));
+        if (attribute !== undefined) {
+          item[attribute.title] = convert(attribute.type, value.getAttribute('value'));
+        }
+      }
+    }
+    let color = childElements(element, 'color')[0];
+    if (color !== undefined) {
+      let hex = ['r', 'g', 'b'].map(c => Number(color.getAttribute(c)).toString(16).padStart(2, '0')).join('');
+      item.color = '#' + hex;
+    }
+    return item;
+  };
+
+  let directed = graphElement.getAttribute('defaultedgetype') === 'directed';
+  let graph = { nodes: [], edges: [], directed: directed, name: null, attributes: {} };
+  for (const node of childElements(childElements(graphElement, 'nodes')[0], 'node')) {
+    let item = { id: node.getAttribute('id') };
+    if (node.hasAttribute('label')) {
+      item.label = node.getAttribute('label');
+    }
+    readAttributes(node, 'node', item);
+    let position = childElements(node, 'position')[0];
+    if (position !== undefined) {
+      item.x = Number(position.getAttribute('x'));
+      item.y = Number(position.getAttribute('y'));
+    }
+    let size = childElements(node, 'size')[0];
+    if (size !== undefined) {
+      item.size = Number(size.getAttribute('value'));
+    }
+    graph.nodes.push(item);
+  }
+  for (const edge of childElements(childElements(graphElement, 'edges')[0], 'edge')) {
+    let item = { source: edge.getAttribute('source'), target: edge.getAttribute('target') };
+    for (const name of ['id', 'label', 'type']) {
+      if (edge.hasAttribute(name)) {
+        item[name] = edge.getAttribute(name);
+      }
+    }
+    if (edge.hasAttribute('weight')) {
+      item.weight = Number(edge.getAttribute('weight'));
+    }
+    readAttributes(edge, 'edge', item);
+    let thickness = childElements(edge, 'thickness')[0];
+    if (thickness !== undefined) {
+      item.penwidth = Number(thickness.getAttribute('value'));
+    }
+    graph.edges.push(item);
+  }
+  return importLayout(graph);
+}
+
+/**
+ * Writes a graph, with the hyperbolic layout of its nodes, as a GEXF 1.3 string.
+ * Node labels and edge ids, labels and weights use the GEXF attributes, everything else is written as attribute values.
+ * @param {Graph} graph A graph object.
+ * @returns {string} - The GEXF document.
+ */
+let writeGEXF = graph => {
+  let nodes = graph.nodes.map(d => ({ item: d, attributes: exportedAttributes(d, ['id', 'label']) }));
+  let edges = graph.edges.map(d => ({ item: d, attributes: exportedAttributes(d, ['id', 'source', 'target', 'label', 'weight']) }));
+  let declare = items => {
+    let declared = new Map();
+    for (const item of items) {
+      for (const [name, value] of Object.entries(item.attributes)) {
+        let type = typeof value === 'number' ? 'double' : typeof value;
+        if (!declared.has(name)) {
+          declared.set(name, { id: String(declared.size), type: type });
+        }
+        else if (declared.get(name).type !== type) {
+          declared.get(name).type = 'string';
+        }
+      }
+    }
+    return declared;
+  };
+  let declared = { node: declare(nodes), edge: declare(edges) };
+  let attvalues = (kind, attributes) => {
+    let values = Object.entries(attributes)
+      .map(([name, value]) => '<attvalue for="' + declared[kind].get(name).id + '" value="' + escapeXml(value) + '"/>');
+    return values.length === 0 ? '' : '<attvalues>' + values.join('') + '</attvalues>';
+  };
+  let optional = (item, name) => item[name] === undefined ? '' : ' ' + name + '="' + escapeXml(item[name]) + '"';
+
+  let lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<gexf xmlns="http://gexf.net/1.3" version="1.3">'];
+  lines.push('  <graph mode="static" defaultedgetype="' + (graph.directed ? 'directed' : 'undirected') + '">');
+  for (const kind of ['node', 'edge']) {
+    if (declared[kind].size > 0) {
+      lines.push('    <attributes class="' + kind + '">');
+      for (const [name, attribute] of declared[kind]) {
+        lines.push('      <attribute id="' + attribute.id + '" title="' + escapeXml(name) + '" type="' + attribute.type + '"/>');
+      }
+      lines.push('    </attributes>');
+    }
+  }
+  lines.push('    <nodes>');
+  for (const node of nodes) {
+    lines.push('      <node id="' + escapeXml(node.item.id) + '"' + optional(node.item, 'label') + '>' + attvalues('node', node.attributes) + '</node>');
+  }
+  lines.push('    </nodes>', '    <edges>');
+  for (const edge of edges) {
+    lines.push('      <edge' + optional(edge.item, 'id') + ' source="' + escapeXml(edgeEndId(edge.item.source)) + '" target="' + escapeXml(edgeEndId(edge.item.target)) + '"'
+      + optional(edge.item, 'label') + optional(edge.item, 'weight') + '>' + attvalues('edge', edge.attributes) + '</edge>');
+  }
+  lines.push('    </edges>', '  </graph>', '</gexf>');
+  return lines.join('\n');
+}
+
+/**
+ * Reads the graph from JSON: node-link data (as written by NetworkX's node_link_data or {@link writeJSON}),
+ * with the edges under `links` or `edges`, or a plain edge list of `[source, target]` pairs.
+ * @param {string|Object} json The JSON string or the already parsed value.
+ * @returns {Graph} - A graph object.
+ */
+let readJSON = json => {
+  let data = typeof json === 'string' ? JSON.parse(json) : json;
+  if (Array.isArray(data)) {
+    // Edge list, the nodes are the ones named by the edges
+    let graph = { nodes: [], edges: [], directed: false, name: null, attributes: {} };
+    let seen = new Set();
+    for (const pair of data) {
+      if (!Array.isArray(pair) || pair.length < 2) {
+        throw new Error('An edge list entry must be a [source, target] pair');
+      }
+      for (const id of pair.slice(0, 2)) {
+        if (!seen.has(String(id))) {
+          seen.add(String(id));
+          graph.nodes.push({ id: id });
+        }
+      }
+      graph.edges.push(Object.assign({ source: pair[0], target: pair[1] }, pair[2]));
+    }
+    return graph;
+  }
+  if (!Array.isArray(data.nodes)) {
+    throw new Error('The JSON graph has no nodes list');
+  }
+  let graph = {
+    nodes: data.nodes.map(d => Object.assign({}, d)),
+    edges: (data.links || data.edges || []).map(d => Object.assign({}, d)),
+    directed: Boolean(data.directed),
+    name: data.graph && data.graph.name !== undefined ? data.graph.name : null,
+    attributes: Object.assign({}, data.graph)
+  };
+  return importLayout(graph);
+}
+
+/**
+ * Writes a graph, with the hyperbolic layout of its nodes, as node-link JSON that NetworkX's node_link_graph can read.
+ * @param {Graph} graph A graph object.
+ * @returns {string} - The JSON document.
+ */
+let writeJSON = graph => JSON.stringify({
+  directed: Boolean(graph.directed),
+  multigraph: false,
+  graph: Object.assign({}, graph.attributes),
+  nodes: graph.nodes.map(d => Object.assign({ id: d.id }, exportedAttributes(d, ['id']))),
+  links: graph.edges.map(d => Object.assign({ source: edgeEndId(d.source), target: edgeEndId(d.target) }, exportedAttributes(d, ['source', 'target'])))
+}, null, 2);
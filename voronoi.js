@@ -0,0 +1,175 @@
+/**
+ * @file This file computes hyperbolic Voronoi diagrams and Delaunay triangulations.
+ */
+/**
+ * This module builds the Voronoi diagram of sites in the poincare disk for the hyperbolic distance, and its dual Delaunay triangulation.
+ * Hyperbolic circles are Euclidean circles in the disk, so every hyperbolic Delaunay edge is also a Euclidean one and d3.Delaunay gives
+ * the candidate pairs. The Voronoi edge of a pair is the part of their bisector, a geodesic, that no other site is closer to.
+ * @module voronoi
+ */
+
+// Steps of the bisection finding where another site starts to be closer along a bisector
+const VORONOI_BISECTION_STEPS = 50;
+
+/**
+ * Computes the hyperbolic Voronoi diagram and Delaunay triangulation of sites in the poincare disk.
+ * @example let diagram = hyperbolic_voronoi(nodes.map(d => d.disk));
+ * @param {NodeObject[]} sites - Points inside the unit disk.
+ * @returns {{'edges': VoronoiEdge[], 'delaunay': number[][], 'cells': VoronoiEdge[][]}} - Voronoi edges with the indices of the two `sites`
+ * they separate and their ends `from` and `to` (ideal points when the edge runs to the boundary), the Delaunay edges as pairs of indices,
+ * and for every site the edges around its cell in counterclockwise order.
+ */
+function hyperbolic_voronoi(sites){
+  let edges = [];
+  let cells = sites.map(() => []);
+  if (sites.length < 2){
+    return {'edges': edges, 'delaunay': [], 'cells': cells};
+  }
+  // Comparing |x-p|²/(1-|p|²) orders the sites by hyperbolic distance to x like cosh(d) does, and also works for ideal x
+  let weight = sites.map(p => 1 / (1 - p.x * p.x - p.y * p.y));
+  let closeness = (x, k) => weight[k] * (Math.pow(x.x - sites[k].x, 2) + Math.pow(x.y - sites[k].y, 2));
+
+  let delaunay = d3.Delaunay.from(sites, p => p.x, p => p.y);
+  for (let i = 0; i < sites.length; i++){
+    for (const j of delaunay.neighbors(i)){
+      if (j < i || euclid_dist(sites[i], sites[j]) < 1e-12){
+        continue;
+      }
+      //The bisector as t*u in the frame where the midpoint of the sites is the origin, t runs from one ideal end (-1) to the other (1)
+      let toMidpoint = mobius_translation(geodesic_interpolate(sites[i], sites[j], 0.5));
+      let back = mobius_inverse(toMidpoint);
+      let image = mobius_apply(toMidpoint, sites[i]);
+      let length = Math.hypot(image.x, image.y);
+      let u = {'x': -image.y / length, 'y': image.x / length};
+      let at = t => mobius_apply(back, {'x': t * u.x, 'y': t * u.y});
+
+      //Another site is closer on one side of the point where the bisector crosses its own bisector with site i
+      let lo = -1;
+      let hi = 1;
+      for (let k = 0; k < sites.length && lo < hi; k++){
+        if (k === i || k === j){
+          continue;
+        }
+        let margin = t => closeness(at(t), k) - closeness(at(t), i);
+        let start = margin(-1);
+        let end = margin(1);
+        if (start >= 0 && end >= 0){
+          continue;
+        }
+        if (start < 0 && end < 0){
+          lo = hi;
+          continue;
+        }
+        let a = -1;
+        let b = 1;
+        for (let step = 0; step < VORONOI_BISECTION_STEPS; step++){
+          let middle = (a + b) / 2;
+          if ((margin(middle) >= 0) === (start >= 0)){
+            a = middle;
+          }
+          else {
+            b = middle;
+          }
+        }
+        if (start >= 0){
+          hi = Math.min(hi, (a + b) / 2);
+        }
+        else {
+          lo = Math.max(lo, (a + b) / 2);
+        }
+      }
+      if (lo >= hi){
+        continue;
+      }
+      let edge = {'sites': [i, j], 'from': at(lo), 'to': at(hi), 'middle': at((lo + hi) / 2)};
+      edges.push(edge);
+    }
+  }
+
+  //Seen from its site moved to the origin a cell is star shaped, so its edges are ordered by the angle of their middle
+  for (let i = 0; i < sites.length; i++){
+    let toOrigin = mobius_translation(sites[i]);
+    let around = [];
+    for (const edge of edges.filter(e => e.sites.includes(i))){
+      let from = mobius_apply(toOrigin, edge.from);
+      let to = mobius_apply(toOrigin, edge.to);
+      let middle = mobius_apply(toOrigin, edge.middle);
+      let counterclockwise = from.x * to.y - from.y * to.x > 0;
+      around.push({
+        'angle': Math.atan2(middle.y, middle.x),
+        'edge': counterclockwise ? edge : {'sites': edge.sites, 'from': edge.to, 'to': edge.from, 'middle': edge.middle}
+      });
+    }
+    cells[i] = around.sort((a, b) => a.angle - b.angle).map(d => d.edge);
+  }
+
+  return {'edges': edges, 'delaunay': edges.map(e => e.sites), 'cells': cells};
+}
+
+/**
+ * Closed svg path of a Voronoi cell in the poincare model. Where the cell reaches the boundary it runs along the boundary circle.
+ * @param {VoronoiEdge[]} cell - The edges of the cell in counterclockwise order, from {@link hyperbolic_voronoi}.
+ * @param {PoinDisk} poindisk - Poindisk object.
+ * @returns {string} - The svg path in canvas coordinates.
+ */
+function voronoi_cell_path(cell, poindisk){
+  if (cell.length === 0){
+    //The only site owns the whole disk
+    return ["M", poindisk.cx - poindisk.r, poindisk.cy,
+      "A", poindisk.r, poindisk.r, 0, 1, 0, poindisk.cx + poindisk.r, poindisk.cy,
+      "A", poindisk.r, poindisk.r, 0, 1, 0, poindisk.cx - poindisk.r, poindisk.cy, "Z"].join(" ");
+  }
+  let start = disk_to_canvas(cell[0].from, poindisk);
+  let path = ["M", start.x, start.y];
+  for (let i = 0; i < cell.length; i++){
+    let edge = cell[i];
+    let next = cell[(i + 1) % cell.length];
+    path.push(...geodesic_path_to(edge.from, edge.to, poindisk));
+    if (euclid_dist(edge.to, next.from) > 1e-9){
+      //Both ends are ideal points, counterclockwise in the disk is clockwise on the flipped canvas
+      let turn = Math.atan2(next.from.y, next.from.x) - Math.atan2(edge.to.y, edge.to.x);
+      turn = ((turn % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+      let end = disk_to_canvas(next.from, poindisk);
+      path.push("A", poindisk.r, poindisk.r, 0, turn > Math.PI ? 1 : 0, 0, end.x, end.y);
+    }
+  }
+  path.push("Z");
+  return path.join(" ");
+}
+
+/**
+ * Draws a Voronoi diagram into a layer: filled cells, the Voronoi edges and the Delaunay edges, each when asked for.
+ * @param {d3.Selection} layer - The svg group holding the diagram.
+ * @param {Object} diagram - A diagram made by {@link hyperbolic_voronoi}.
+ * @param {NodeObject[]} sites - The sites of the diagram.
+ * @param {{cell: function(VoronoiEdge[]): string, segment: function(NodeObject, NodeObject): string}} paths - Svg paths of a cell
+ * and of the geodesic between two points, e.g. from {@link voronoi_cell_path} and {@link geodesic_arc_path}.
+ * @param {{cells: boolean, voronoi: boolean, delaunay: boolean}} options - Parts to draw.
+ */
+function draw_voronoi(layer, diagram, sites, paths, options = {}){
+  let colors = d3.scaleOrdinal(d3.schemePastel1);
+  layer.selectAll('path.voronoi-cell')
+    .data(options.cells ? diagram.cells : [])
+    .join('path')
+    .attr('class', 'voronoi-cell')
+    .attr('d', paths.cell)
+    .style('fill', (d, i) => colors(i))
+    .style('fill-opacity', 0.6)
+    .style('stroke', 'none');
+  layer.selectAll('path.voronoi-edge')
+    .data(options.voronoi ? diagram.edges : [])
+    .join('path')
+    .attr('class', 'voronoi-edge')
+    .attr('d', d => paths.segment(d.from, d.to))
+    .style('fill', 'none')
+    .style('stroke', 'steelblue')
+    .style('stroke-width', '1.5px');
+  layer.selectAll('path.delaunay-edge')
+    .data(options.delaunay ? diagram.delaunay : [])
+    .join('path')
+    .attr('class', 'delaunay-edge')
+    .attr('d', d => paths.segment(sites[d[0]], sites[d[1]]))
+    .style('fill', 'none')
+    .style('stroke', 'crimson')
+    .style('stroke-dasharray', '4 3');
+}